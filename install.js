@@ -5,6 +5,7 @@
  * Usage:
  *   npx skill-markdown-i18n
  *   node install.js
+ *   markdown-i18n install
  */
 
 import fs from 'fs/promises';
@@ -12,6 +13,7 @@ import path from 'path';
 import { fileURLToPath } from 'url';
 import { createRequire } from 'module';
 import { spawn } from 'child_process';
+import { parseArgs, runMain } from './scripts/cli-args.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -105,7 +107,24 @@ async function installToPath(skillSrc, targetDir, cli) {
   return skillDest;
 }
 
+function printUsage() {
+  console.log('Usage: markdown-i18n install');
+  console.log('       npx skill-markdown-i18n');
+  console.log('');
+  console.log('Interactively installs the markdown-i18n skill for Cursor, Claude Code,');
+  console.log('Codex and/or Gemini, either globally or for the current project.');
+  console.log('');
+  console.log('Options:');
+  console.log('  --help, -h       Show this help message');
+}
+
 async function main() {
+  const { help } = parseArgs(process.argv.slice(2));
+  if (help) {
+    printUsage();
+    return;
+  }
+
   console.log(`
 ╔════════════════════════════════════════╗
 ║     Markdown i18n Skill Installer      ║
@@ -228,13 +247,11 @@ async function main() {
   - README.md: Quick start guide
   - glossary.md: Translation terminology
 
-🔧 Utility Scripts:
-  node scripts/create-plan.js <src> <dest> -o plan.yaml
-  node scripts/validate.js <source.md> <target.md>
+🔧 Utility Commands:
+  markdown-i18n plan <src> <dest> -o plan.yaml
+  markdown-i18n validate <source.md> <target.md>
+  markdown-i18n --help
 `);
 }
 
-main().catch(err => {
-  console.error('Installation failed:', err);
-  process.exit(1);
-});
+runMain(main);
@@ -0,0 +1,254 @@
+/**
+ * Heading anchors and `#fragment` link resolution.
+ *
+ * Anchors follow the GitHub / Docusaurus / VitePress slug rules:
+ *   - an explicit `{#custom-id}` suffix wins
+ *   - otherwise the heading text is lowercased, punctuation (including
+ *     full-width CJK punctuation) is dropped and spaces become `-`;
+ *     letters and digits of any script are kept, so `## 配置 文件` → `配置-文件`
+ *   - repeated slugs get `-1`, `-2`, ... suffixes
+ *
+ * `id` / `name` attributes of raw HTML or JSX elements count as anchors too.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { parseMarkdown, visit, toText, isMdxPath } from './markdown.js';
+import { issueAt } from './findings.js';
+
+const CUSTOM_ID_PATTERN = /\s*\{#([^{}\s]+)\}\s*$/;
+const HTML_ID_PATTERN = /\s(?:id|name)\s*=\s*["']([^"']+)["']/g;
+const DOC_EXTENSIONS = ['.md', '.mdx'];
+
+/**
+ * Slug of a heading text
+ */
+function slugify(text) {
+  return text
+    .trim()
+    .toLowerCase()
+    .replace(/[^\p{L}\p{M}\p{N}\p{Pc}\- ]/gu, '')
+    .replace(/ /g, '-');
+}
+
+/**
+ * Split a heading text into its visible text and explicit `{#id}` (or null)
+ */
+function splitCustomId(text) {
+  const match = text.match(CUSTOM_ID_PATTERN);
+  return match
+    ? { text: text.slice(0, match.index), customId: match[1] }
+    : { text, customId: null };
+}
+
+/**
+ * Anchors defined by a parsed document
+ *
+ * Returns [{ id, text, customId, line, column }] for headings (in document order),
+ * followed by HTML/JSX id and name attributes (text null).
+ */
+function getAnchors(tree) {
+  const anchors = [];
+  const seen = new Map();
+
+  visit(tree, 'heading', heading => {
+    const { text, customId } = splitCustomId(toText(heading));
+    let id = customId;
+
+    if (!id) {
+      const slug = slugify(text);
+      const count = seen.get(slug) || 0;
+      id = count === 0 ? slug : `${slug}-${count}`;
+      seen.set(slug, count + 1);
+    }
+
+    anchors.push({ id, text: text.trim(), customId, line: heading.position?.start.line, column: heading.position?.start.column });
+  });
+
+  visit(tree, null, node => {
+    if (node.type === 'html') {
+      for (const match of node.value.matchAll(HTML_ID_PATTERN)) {
+        anchors.push({ id: match[1], text: null, customId: null, line: node.position?.start.line, column: node.position?.start.column });
+      }
+    } else if (node.type === 'mdxJsxFlowElement' || node.type === 'mdxJsxTextElement') {
+      for (const attr of node.attributes || []) {
+        if ((attr.name === 'id' || attr.name === 'name') && typeof attr.value === 'string') {
+          anchors.push({ id: attr.value, text: null, customId: null, line: node.position?.start.line, column: node.position?.start.column });
+        }
+      }
+    }
+  });
+
+  return anchors;
+}
+
+/**
+ * Split a link URL into path and fragment (decoded)
+ */
+function splitFragment(url) {
+  const hashIdx = url.indexOf('#');
+  if (hashIdx === -1) return { path: url, fragment: null };
+
+  let fragment = url.slice(hashIdx + 1);
+  try {
+    fragment = decodeURIComponent(fragment);
+  } catch {
+    // Keep malformed escapes as written
+  }
+  return { path: url.slice(0, hashIdx), fragment };
+}
+
+/**
+ * Check in-page `#fragment` links of a translated document
+ *
+ * sourceAnchors are used to suggest the renamed anchor: a link to the n-th
+ * source heading's anchor should point at the n-th target heading's anchor.
+ *
+ * Returns errors as { message, line, column } (the link in the target).
+ */
+function validateFragmentLinks(links, anchors, sourceAnchors = []) {
+  const errors = [];
+  const ids = new Set(anchors.map(a => a.id));
+  const headingAnchors = anchors.filter(a => a.text !== null);
+  const sourceHeadingAnchors = sourceAnchors.filter(a => a.text !== null);
+
+  for (const link of links) {
+    if (!link.url.startsWith('#')) continue;
+
+    const { fragment } = splitFragment(link.url);
+    if (!fragment || ids.has(fragment)) continue;
+
+    let hint = '';
+    const index = sourceHeadingAnchors.findIndex(a => a.id === fragment);
+    if (index !== -1 && headingAnchors.length === sourceHeadingAnchors.length) {
+      hint = ` (did you mean "#${headingAnchors[index].id}"?)`;
+    }
+    errors.push(issueAt(link, `Broken fragment link: "${link.url}" (target line ${link.line}) has no matching heading anchor${hint}`));
+  }
+
+  return errors;
+}
+
+/**
+ * Check that explicit `{#custom-id}` anchors are kept in the translation
+ *
+ * Returns errors as { message, line, column } (the target heading).
+ */
+function validateCustomIds(sourceAnchors, targetAnchors) {
+  const errors = [];
+  const src = sourceAnchors.filter(a => a.text !== null);
+  const tgt = targetAnchors.filter(a => a.text !== null);
+  if (src.length !== tgt.length) return errors;
+
+  src.forEach((anchor, index) => {
+    if (anchor.customId && anchor.customId !== tgt[index].customId) {
+      const found = tgt[index].customId ? `{#${tgt[index].customId}}` : 'none';
+      errors.push(issueAt(tgt[index], `Custom heading id changed: {#${anchor.customId}} → ${found} (target line ${tgt[index].line})`));
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Candidate files for a document path without extension
+ */
+function getDocCandidates(docPath) {
+  if (DOC_EXTENSIONS.includes(path.extname(docPath))) return [docPath];
+
+  const base = docPath.replace(/[\\/]+$/, '');
+  return [
+    ...DOC_EXTENSIONS.map(ext => `${base}${ext}`),
+    ...DOC_EXTENSIONS.map(ext => path.join(base, `index${ext}`))
+  ];
+}
+
+/**
+ * Resolve a link to the markdown file it points at
+ *
+ * Options:
+ *   filePath: file containing the link (for relative links)
+ *   root:     directory that site links under `prefix` map to
+ *   prefix:   link prefix of the locale, e.g. /zh
+ *
+ * Returns the first existing candidate file, or null.
+ */
+async function resolveDocLink(url, { filePath, root = null, prefix = null } = {}) {
+  const { path: linkPath } = splitFragment(url.split('?')[0]);
+  if (!linkPath || /^[a-z][a-z0-9+.-]*:/i.test(linkPath) || linkPath.startsWith('//')) return null;
+
+  let docPath;
+  if (linkPath.startsWith('/')) {
+    if (!root || !prefix) return null;
+    if (linkPath !== prefix && !linkPath.startsWith(`${prefix}/`)) return null;
+    docPath = path.join(root, linkPath.slice(prefix.length) || 'index');
+  } else {
+    let decoded = linkPath;
+    try {
+      decoded = decodeURI(linkPath);
+    } catch {
+      // Keep malformed escapes as written
+    }
+    docPath = path.join(path.dirname(filePath), decoded);
+  }
+
+  for (const candidate of getDocCandidates(docPath)) {
+    try {
+      const stat = await fs.stat(candidate);
+      if (stat.isFile()) return candidate;
+    } catch {
+      // Try next candidate
+    }
+  }
+  return null;
+}
+
+/**
+ * Check `page#fragment` links to other files of the target tree
+ *
+ * Links whose file cannot be resolved are skipped. anchorCache maps file
+ * paths to their anchors and may be shared between calls. If
+ * options.dependencies (a Set) is given, the files checked against are added
+ * to it.
+ *
+ * Returns errors as { message, line, column } (the link in the target).
+ */
+async function validateCrossFileFragments(links, options = {}, anchorCache = new Map()) {
+  const errors = [];
+
+  for (const link of links) {
+    const { path: linkPath, fragment } = splitFragment(link.url);
+    if (!linkPath || !fragment) continue;
+
+    const file = await resolveDocLink(link.url, options);
+    if (!file) continue;
+    options.dependencies?.add(file);
+
+    if (!anchorCache.has(file)) {
+      try {
+        const content = await fs.readFile(file, 'utf-8');
+        anchorCache.set(file, getAnchors(parseMarkdown(content, { mdx: isMdxPath(file) })));
+      } catch {
+        anchorCache.set(file, null);
+      }
+    }
+
+    const anchors = anchorCache.get(file);
+    if (anchors && !anchors.some(a => a.id === fragment)) {
+      errors.push(issueAt(link, `Broken fragment link: "${link.url}" (target line ${link.line}) - no anchor "#${fragment}" in ${file}`));
+    }
+  }
+
+  return errors;
+}
+
+export {
+  slugify,
+  splitCustomId,
+  getAnchors,
+  splitFragment,
+  validateFragmentLinks,
+  validateCustomIds,
+  resolveDocLink,
+  validateCrossFileFragments
+};
@@ -0,0 +1,364 @@
+/**
+ * Mechanical application of source diff hunks to a translation.
+ *
+ * Changes of a hunk that need no translation are written to the target
+ * directly. A hunk is applied as a whole, and only if every changed run of
+ * lines in it is one of:
+ *
+ *   - format:  lines that differ only in leading or trailing whitespace
+ *   - delete:  removed lines
+ *   - literal: lines whose changes are confined to inline code, URLs,
+ *              preserved placeholders (preserve_patterns) or no-translate
+ *              terms; the literals are replaced inside the translated line
+ *   - code:    lines inside fenced code blocks
+ *
+ * and every source line involved has an identifiable counterpart in the
+ * target. Counterparts are looked for in the aligned target section (see
+ * sections.js):
+ *
+ *   1. the only line of the section with the same text (code, URLs, names)
+ *   2. the line at the same offset, when both sections have the same number
+ *      of lines and the two lines have the same shape (indentation, list,
+ *      heading or quote marker, blank)
+ *
+ * Everything else is left for translation.
+ */
+
+import { parseMarkdown, visit } from './markdown.js';
+import { alignSections, findSectionIndex } from './sections.js';
+import { compilePreservePatterns, matchPatterns } from './preserve.js';
+import { localizeUrl } from './fix.js';
+
+const LITERAL_PATTERNS = [
+  // Inline code spans
+  '`[^`\\n]+`',
+  // Link and image destinations, autolinks and bare URLs
+  '(?<=\\]\\()[^)\\s]+',
+  '(?<=<)https?://[^>\\s]+(?=>)',
+  'https?://[^\\s)>\\]]+'
+];
+
+/**
+ * Unified diff hunks with their lines in order
+ *
+ * Returns [{ header, after, ops: [{ type, text, old, new }] }] where after
+ * is the old line the hunk follows, type is ' ', '-' or '+' and old / new
+ * are 1-based line numbers (null on the side a line does not exist).
+ */
+function parseDiffHunks(diffOutput) {
+  const hunks = [];
+  let current = null;
+  let oldLine = 0;
+  let newLine = 0;
+
+  for (const line of diffOutput.split('\n')) {
+    const match = line.match(/^@@ -(\d+)(?:,(\d+))? \+(\d+)(?:,\d+)? @@/);
+    if (match) {
+      oldLine = parseInt(match[1], 10);
+      newLine = parseInt(match[3], 10);
+      // An empty old range starts after its line number
+      current = { header: line, after: match[2] === '0' ? oldLine : oldLine - 1, ops: [] };
+      hunks.push(current);
+    } else if (!current || line.startsWith('diff ')) {
+      // File headers; inside a hunk, `--- x` is the removed line `-- x`
+      current = null;
+    } else if (line.startsWith('-')) {
+      current.ops.push({ type: '-', text: line.slice(1), old: oldLine++, new: null });
+    } else if (line.startsWith('+')) {
+      current.ops.push({ type: '+', text: line.slice(1), old: null, new: newLine++ });
+    } else if (line.startsWith(' ')) {
+      current.ops.push({ type: ' ', text: line.slice(1), old: oldLine++, new: newLine++ });
+    }
+  }
+
+  return hunks;
+}
+
+/**
+ * Runs of changed lines of a hunk: [{ deleted, added, anchor }]
+ *
+ * anchor is the old line number the run follows (0 at the start of the file).
+ */
+function getChangeRuns(hunk) {
+  const runs = [];
+  let run = null;
+  let lastOld = hunk.after;
+
+  for (const op of hunk.ops) {
+    if (op.type === ' ') {
+      run = null;
+    } else {
+      if (!run) {
+        run = { deleted: [], added: [], anchor: lastOld };
+        runs.push(run);
+      }
+      (op.type === '-' ? run.deleted : run.added).push(op);
+    }
+    if (op.old !== null) lastOld = op.old;
+  }
+
+  return runs;
+}
+
+/**
+ * 1-based line numbers inside fenced or indented code blocks, fences included
+ */
+function getCodeLines(content, options = {}) {
+  const lines = new Set();
+  try {
+    visit(parseMarkdown(content, options), 'code', node => {
+      for (let line = node.position.start.line; line <= node.position.end.line; line++) lines.add(line);
+    });
+  } catch {
+    // Unparsable documents have no known code lines
+  }
+  return lines;
+}
+
+const leading = line => line.match(/^\s*/)[0];
+const trailing = line => line.match(/\s*$/)[0];
+
+/**
+ * Indentation and block marker of a line, compared to pair lines by offset
+ */
+function getLineShape(line) {
+  if (line.trim() === '') return 'blank';
+  const [, indent, marker = ''] = line.match(/^(\s*)(#{1,6}(?=\s)|[-*+](?=\s)|\d+[.)](?=\s)|>|\||`{3,}|~{3,})?/);
+  return `${indent}${/^\d/.test(marker) ? '1.' : marker}`;
+}
+
+/**
+ * Whitespace of a reformatted translated line: the source's new whitespace
+ * where the target had the old one, the target's own where the source kept
+ * it, else null
+ */
+function swapWhitespace(oldSpace, newSpace, targetSpace) {
+  if (targetSpace === oldSpace) return newSpace;
+  if (oldSpace === newSpace) return targetSpace;
+  return null;
+}
+
+/**
+ * Move a line from one container indentation to another
+ */
+function reindent(line, from, to) {
+  return line.startsWith(from) ? to + line.slice(from.length) : line;
+}
+
+/**
+ * Line with its literals replaced by a marker, for comparing the rest
+ */
+function maskLiterals(line, literals) {
+  let masked = line;
+  for (const literal of [...literals].reverse()) {
+    masked = `${masked.slice(0, literal.start)}\0${masked.slice(literal.end)}`;
+  }
+  return masked;
+}
+
+/**
+ * Apply a source line's literal changes to its translation
+ *
+ * Returns the new target line, or null if something else changed too or a
+ * literal cannot be found in the target. Internal URLs are also looked for
+ * with the target locale prefix.
+ */
+function replaceLiterals(oldLine, newLine, targetLine, context) {
+  const oldLiterals = matchPatterns(oldLine, context.patterns);
+  const newLiterals = matchPatterns(newLine, context.patterns);
+  if (oldLiterals.length !== newLiterals.length || maskLiterals(oldLine, oldLiterals) !== maskLiterals(newLine, newLiterals)) {
+    return null;
+  }
+
+  const { source: sourcePrefix, target: targetPrefix } = context.linkPrefixes || {};
+  let result = targetLine;
+  for (let i = 0; i < oldLiterals.length; i++) {
+    const from = oldLiterals[i].value;
+    const to = newLiterals[i].value;
+    if (from === to) continue;
+
+    const candidates = [[from, to]];
+    const localized = localizeUrl(from, sourcePrefix, targetPrefix);
+    if (localized) candidates.push([localized, localizeUrl(to, sourcePrefix, targetPrefix) || to]);
+    const match = candidates.find(([value]) => result.includes(value));
+    if (!match) return null;
+    result = result.split(match[0]).join(match[1]);
+  }
+  return result;
+}
+
+/**
+ * Find the target line (0-based) of an old source line (1-based), or -1
+ */
+function createLocator(alignment, oldLines, targetLines) {
+  return oldLine => {
+    const pair = alignment.pairs[findSectionIndex(alignment.source, oldLine)];
+    if (!pair?.target) return -1;
+    const { source, target } = pair;
+    const text = oldLines[oldLine - 1] ?? '';
+
+    if (text.trim() !== '') {
+      const matches = [];
+      for (let i = target.start; i <= target.end; i++) {
+        if (targetLines[i]?.trim() === text.trim()) matches.push(i);
+      }
+      if (matches.length === 1) return matches[0];
+    }
+
+    if (source.end - source.start === target.end - target.start) {
+      const index = target.start + (oldLine - 1 - source.start);
+      if (getLineShape(targetLines[index] ?? '') === getLineShape(text)) return index;
+    }
+    return -1;
+  };
+}
+
+/**
+ * A translated line with a source line's whitespace or literal change
+ * applied, or null if the change needs translation
+ */
+function changeLine(oldLine, newLine, targetLine, context) {
+  if (oldLine.trim() !== newLine.trim()) {
+    return replaceLiterals(oldLine, newLine, targetLine, context);
+  }
+  if (targetLine.trim() === '') return newLine;
+
+  const lead = swapWhitespace(leading(oldLine), leading(newLine), leading(targetLine));
+  const trail = swapWhitespace(trailing(oldLine), trailing(newLine), trailing(targetLine));
+  return lead === null || trail === null ? null : `${lead}${targetLine.trim()}${trail}`;
+}
+
+/**
+ * Edits for one run of changed lines, or null if it needs translation
+ *
+ * Returns { kinds, edits: [{ start, end, lines }] } with 0-based target line
+ * ranges (end exclusive) to replace.
+ */
+function planRun(run, context) {
+  const { locate, targetLines, oldCode, newCode } = context;
+  const { deleted, added } = run;
+  const located = deleted.map(op => locate(op.old));
+  if (located.includes(-1)) return null;
+  const contiguous = located.every((index, i) => i === 0 || index === located[i - 1] + 1);
+
+  // Removed lines, in one piece of the target
+  if (added.length === 0) {
+    return contiguous ? { kinds: ['delete'], edits: [{ start: located[0], end: located[located.length - 1] + 1, lines: [] }] } : null;
+  }
+
+  // Code block content, copied from the source with the target's indentation
+  if (deleted.every(op => oldCode.has(op.old)) && added.every(op => newCode.has(op.new))) {
+    if (deleted.length > 0) {
+      if (!contiguous || deleted.some((op, i) => targetLines[located[i]].trim() !== op.text.trim())) return null;
+      const from = leading(deleted[0].text);
+      const to = leading(targetLines[located[0]]);
+      return {
+        kinds: ['code'],
+        edits: [{ start: located[0], end: located[located.length - 1] + 1, lines: added.map(op => reindent(op.text, from, to)) }]
+      };
+    }
+
+    // Inserted after a line of the same code block (or its opening fence)
+    if (!oldCode.has(run.anchor)) return null;
+    const anchor = locate(run.anchor);
+    if (anchor === -1) return null;
+    const from = leading(context.oldLines[run.anchor - 1]);
+    const to = leading(targetLines[anchor]);
+    return { kinds: ['code'], edits: [{ start: anchor + 1, end: anchor + 1, lines: added.map(op => reindent(op.text, from, to)) }] };
+  }
+
+  // Each added line changes one removed line (in order); the other removed
+  // lines are deleted
+  const edits = [];
+  const kinds = new Set();
+  let next = 0;
+  for (const op of added) {
+    let line = null;
+    while (next < deleted.length && line === null) {
+      line = changeLine(deleted[next].text, op.text, targetLines[located[next]], context);
+      if (line === null) {
+        edits.push({ start: located[next], end: located[next] + 1, lines: [] });
+        kinds.add('delete');
+        next++;
+      }
+    }
+    if (line === null) return null;
+    edits.push({ start: located[next], end: located[next] + 1, lines: [line] });
+    kinds.add(deleted[next].text.trim() === op.text.trim() ? 'format' : 'literal');
+    next++;
+  }
+  for (; next < deleted.length; next++) {
+    edits.push({ start: located[next], end: located[next] + 1, lines: [] });
+    kinds.add('delete');
+  }
+
+  return { kinds: [...kinds], edits };
+}
+
+/**
+ * Apply the mechanical hunks of a source diff to its translation
+ *
+ * oldSource is the source the target was translated from, newSource the
+ * current source and diffOutput the unified diff between them. Options:
+ *   mdx / filePath:   parse as MDX
+ *   preservePatterns: extra literal patterns (preserve_patterns)
+ *   noTranslate:      rules from .i18n/no-translate.yaml (terms are literals)
+ *   linkPrefixes:     { source, target } internal link prefixes
+ *   skip:             hunk indices not to apply (already applied)
+ *
+ * Returns { content, hunks } where hunks lists, in diff order, { header,
+ * applied_by } with applied_by the kinds of change applied, or null if the
+ * hunk needs translation.
+ */
+function applyHunks(oldSource, newSource, target, diffOutput, options = {}) {
+  const parseOptions = { mdx: options.mdx, filePath: options.filePath };
+  const oldLines = oldSource.split('\n');
+  const targetLines = target.split('\n');
+  const terms = (options.noTranslate?.terms || [])
+    .filter(rule => rule.text)
+    .map(rule => `(?<![A-Za-z0-9_])${rule.text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}(?![A-Za-z0-9_])`);
+
+  const context = {
+    oldLines,
+    targetLines,
+    oldCode: getCodeLines(oldSource, parseOptions),
+    newCode: getCodeLines(newSource, parseOptions),
+    locate: createLocator(alignSections(oldSource, target, parseOptions), oldLines, targetLines),
+    patterns: [...LITERAL_PATTERNS.map(source => new RegExp(source, 'g')), ...compilePreservePatterns(options.preservePatterns), ...terms.map(source => new RegExp(source, 'g'))],
+    linkPrefixes: options.linkPrefixes
+  };
+  const skip = new Set(options.skip || []);
+
+  const edits = [];
+  const hunks = parseDiffHunks(diffOutput).map((hunk, index) => {
+    if (skip.has(index)) return { header: hunk.header, applied_by: null };
+
+    const planned = getChangeRuns(hunk).map(run => planRun(run, context));
+    if (planned.length === 0 || planned.includes(null)) return { header: hunk.header, applied_by: null };
+
+    // Edits of different hunks must not touch the same target lines
+    const hunkEdits = planned.flatMap(p => p.edits);
+    const overlaps = (a, b) => a.start === b.start || (a.start < b.end && b.start < a.end);
+    if (hunkEdits.some((a, i) => [...edits, ...hunkEdits.slice(i + 1)].some(b => overlaps(a, b)))) {
+      return { header: hunk.header, applied_by: null };
+    }
+
+    edits.push(...hunkEdits);
+    return { header: hunk.header, applied_by: [...new Set(planned.flatMap(p => p.kinds))] };
+  });
+
+  const lines = [...targetLines];
+  for (const edit of [...edits].sort((a, b) => b.start - a.start)) {
+    lines.splice(edit.start, edit.end - edit.start, ...edit.lines);
+  }
+
+  return { content: lines.join('\n'), hunks };
+}
+
+export {
+  parseDiffHunks,
+  getChangeRuns,
+  getLineShape,
+  replaceLiterals,
+  applyHunks
+};
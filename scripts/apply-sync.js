@@ -0,0 +1,265 @@
+#!/usr/bin/env node
+/**
+ * Apply the mechanical changes of a git-diff-sync plan to the target files.
+ *
+ * Usage:
+ *   node apply-sync.js [plan_file] [--dry-run] [--config <file>]
+ *
+ * Reads .i18n/git-sync-plan.yaml (single-file or directory plan, see
+ * git-diff-sync.js) and writes every hunk that needs no translation into
+ * the target file: whitespace-only changes, removed lines, changes confined
+ * to inline code, URLs, placeholders or no-translate terms, and code block
+ * changes (see apply-hunks.js).
+ *
+ * Each entry of a file's `changes` gets `status: applied` (with
+ * `applied_by`) or `status: pending`; only pending hunks need translating.
+ * A modified file whose hunks are all applied is marked done. The source is
+ * diffed again from the commit the plan was created against, so files whose
+ * diff no longer matches the plan are skipped (create a new plan for them).
+ *
+ * Example:
+ *   node git-diff-sync.js docs/en/guide.md docs/zh/guide.md
+ *   node apply-sync.js --dry-run    # show the target changes
+ *   node apply-sync.js
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import yaml from 'js-yaml';
+import { DEFAULT_CONFIG, loadConfig, getLinkPrefix } from './config.js';
+import { readNoTranslateConfig } from './read-no-translate.js';
+import { readFileAtRef, getSourceDiff } from './git-diff-sync.js';
+import { parseDiffHunks, applyHunks } from './apply-hunks.js';
+import { parseLocales } from './validate.js';
+import { createUnifiedDiff } from './fix.js';
+import { isMdxPath } from './markdown.js';
+import { writePlanFile } from './plan.js';
+import { parseArgs, isMainModule, runMain, EXIT_OK, EXIT_FAILURE } from './cli-args.js';
+
+const PLAN_FILE_NAME = 'git-sync-plan.yaml';
+
+/**
+ * Check whether a file exists
+ */
+async function exists(filePath) {
+  try {
+    await fs.access(filePath);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Files of a plan that have hunks to apply
+ *
+ * Returns [{ entry, source, previous, detectedBy, target, ref }] where entry
+ * is the plan object holding the file's `changes` and target the file the
+ * translation is in (the previous target for a move not done yet).
+ */
+async function getPlanFiles(plan, cwd = process.cwd()) {
+  const { meta } = plan;
+  if (meta.mode !== 'directory') {
+    return plan.changes?.length > 0
+      ? [{ entry: plan, source: meta.source_file, previous: null, detectedBy: null, target: meta.target_file, ref: meta.target_commit }]
+      : [];
+  }
+
+  const files = [];
+  for (const entry of plan.files || []) {
+    if (!(entry.changes?.length > 0)) continue;
+    const moved = entry.previous_target && !(await exists(path.resolve(cwd, entry.target)));
+    files.push({
+      entry,
+      source: entry.source,
+      previous: entry.previous_source || null,
+      detectedBy: entry.detected_by || null,
+      target: moved ? entry.previous_target : entry.target,
+      ref: entry.git_ref || meta.target_commit
+    });
+  }
+  return files;
+}
+
+/**
+ * Mark the hunks of a plan entry as applied or pending
+ */
+function markHunks(entry, results) {
+  results.forEach((result, index) => {
+    const change = entry.changes[index];
+    if (result.applied_by) {
+      change.status = 'applied';
+      change.applied_by = result.applied_by;
+    } else if (change.status !== 'applied') {
+      change.status = 'pending';
+    }
+  });
+
+  const statuses = new Map(entry.changes.map(change => [change.hunk_index, change.status]));
+  for (const section of entry.affected_sections || []) {
+    for (const hunk of section.hunks) {
+      hunk.status = statuses.get(hunk.hunk_index);
+    }
+  }
+}
+
+/**
+ * Apply the mechanical hunks of a git-diff-sync plan
+ *
+ * Updates the plan in place (hunk and file statuses, summary.applied_hunks)
+ * and writes the target files unless dryRun is set. Options: cwd, dryRun,
+ * noTranslate (default: read from the project's .i18n directory).
+ *
+ * Returns [{ source, target, applied, pending, diff }] per file with hunks,
+ * or { source, target, error } for files that could not be processed.
+ */
+async function applySyncPlan(plan, config = DEFAULT_CONFIG, { cwd = process.cwd(), dryRun = false, noTranslate } = {}) {
+  if (plan?.meta?.type !== 'git-diff-sync') {
+    throw new Error('Not a git-diff-sync plan (meta.type must be git-diff-sync)');
+  }
+
+  const noTranslateRules = noTranslate !== undefined
+    ? noTranslate
+    : config.i18nDir ? await readNoTranslateConfig(config.i18nDir) : null;
+  const results = [];
+
+  for (const { entry, source, previous, detectedBy, target, ref } of await getPlanFiles(plan, cwd)) {
+    try {
+      const diffOutput = await getSourceDiff(source, ref, { previous, detectedBy, cwd });
+      const headers = parseDiffHunks(diffOutput).map(hunk => hunk.header);
+      if (headers.length !== entry.changes.length || headers.some((header, i) => header !== entry.changes[i].header)) {
+        throw new Error('Source changed since the plan was created, run git-diff-sync.js again');
+      }
+
+      const oldSource = await readFileAtRef(previous || source, ref, cwd);
+      const newSource = await fs.readFile(path.resolve(cwd, source), 'utf-8');
+      const original = await fs.readFile(path.resolve(cwd, target), 'utf-8');
+      if (oldSource === null) {
+        throw new Error(`${previous || source} not found at ${ref}`);
+      }
+
+      const { sourceLocale, targetLocale } = parseLocales(source, target, {}, config);
+      const { content, hunks } = applyHunks(oldSource, newSource, original, diffOutput, {
+        mdx: isMdxPath(source) || isMdxPath(target),
+        preservePatterns: config.preserve_patterns,
+        noTranslate: noTranslateRules,
+        linkPrefixes: { source: getLinkPrefix(config, sourceLocale), target: getLinkPrefix(config, targetLocale) },
+        skip: entry.changes.flatMap((change, index) => (change.status === 'applied' ? [index] : []))
+      });
+
+      markHunks(entry, hunks);
+      const pending = entry.changes.filter(change => change.status !== 'applied').length;
+      if (pending === 0 && entry !== plan && entry.change === 'modified') {
+        entry.status = 'done';
+      }
+
+      if (!dryRun && content !== original) {
+        await fs.writeFile(path.resolve(cwd, target), content, 'utf-8');
+      }
+
+      results.push({
+        source,
+        target,
+        applied: hunks.filter(hunk => hunk.applied_by).length,
+        pending,
+        diff: createUnifiedDiff(original, content, `a/${target}`, `b/${target}`)
+      });
+    } catch (err) {
+      results.push({ source, target, error: err.message });
+    }
+  }
+
+  // Plan status and totals
+  const entries = plan.meta.mode === 'directory' ? plan.files || [] : [plan];
+  const changes = entries.flatMap(entry => entry.changes || []);
+  plan.summary.applied_hunks = changes.filter(change => change.status === 'applied').length;
+  if (plan.meta.mode === 'directory') {
+    plan.meta.status = plan.files.some(f => f.status !== 'done') ? 'pending' : 'completed';
+  } else if (changes.length > 0 && plan.summary.applied_hunks === changes.length) {
+    plan.meta.status = 'completed';
+  }
+
+  return results;
+}
+
+const OPTIONS = {
+  config: { type: 'string' },
+  'dry-run': { type: 'boolean' }
+};
+
+function printUsage() {
+  console.log('Usage: node apply-sync.js [plan_file] [options]');
+  console.log('');
+  console.log('Arguments:');
+  console.log(`  plan_file        git-diff-sync plan (default: .i18n/${PLAN_FILE_NAME})`);
+  console.log('');
+  console.log('Options:');
+  console.log('  --config         Project config file (default: .i18n/config.yaml)');
+  console.log('  --dry-run        Print the target changes as a unified diff, write nothing');
+  console.log('  --help, -h       Show this help message');
+  console.log('');
+  console.log('Applied without translation:');
+  console.log('  format    whitespace-only changes');
+  console.log('  delete    removed lines whose target counterpart is identifiable');
+  console.log('  literal   changes confined to inline code, URLs, placeholders or no-translate terms');
+  console.log('  code      changes inside code blocks');
+  console.log('');
+  console.log('Applied hunks get status: applied in the plan; the rest stay pending for translation.');
+  console.log('');
+  console.log('Example:');
+  console.log('  node git-diff-sync.js docs/en/guide.md docs/zh/guide.md');
+  console.log('  node apply-sync.js --dry-run');
+}
+
+/**
+ * Main function
+ */
+async function main() {
+  const { values, positionals, help } = parseArgs(process.argv.slice(2), OPTIONS);
+
+  if (help) {
+    printUsage();
+    return EXIT_OK;
+  }
+
+  const config = await loadConfig({ configPath: values.config });
+  const planPath = positionals[0] || path.join(config.i18nDir || path.join(process.cwd(), '.i18n'), PLAN_FILE_NAME);
+  const plan = yaml.load(await fs.readFile(planPath, 'utf-8'));
+
+  const results = await applySyncPlan(plan, config, { dryRun: values.dryRun });
+
+  let failed = false;
+  for (const result of results) {
+    if (result.error) {
+      failed = true;
+      console.error(`✗ ${result.source}: ${result.error}`);
+      continue;
+    }
+    console.log(`${result.applied > 0 ? '✓' : '-'} ${result.target}: ${result.applied} hunk(s) applied, ${result.pending} pending`);
+    if (values.dryRun && result.diff) {
+      console.log(`\n${result.diff}\n`);
+    }
+  }
+
+  if (results.length === 0) {
+    console.log('No hunks to apply.');
+  }
+
+  if (!values.dryRun && results.some(result => !result.error)) {
+    await writePlanFile(plan, planPath);
+    console.log(`\n✓ Plan updated: ${planPath}`);
+  }
+
+  const pending = results.reduce((sum, result) => sum + (result.pending || 0), 0);
+  if (pending > 0) {
+    console.log(`${pending} hunk(s) need translation (status: pending)`);
+  }
+
+  return failed ? EXIT_FAILURE : EXIT_OK;
+}
+
+if (isMainModule(import.meta.url)) {
+  runMain(main);
+}
+
+export { applySyncPlan };
@@ -0,0 +1,333 @@
+#!/usr/bin/env node
+/**
+ * Check terminology consistency against .i18n/translation-consistency.yaml.
+ *
+ * Usage:
+ *   node check-consistency.js <source.md> <target.md> [--source-locale en] [--target-locale zh]
+ *   node check-consistency.js --dir [source_dir] [target_dir] [--source-locale en] [--target-locale zh]
+ *
+ * For every mapped term found in the source, the aligned target block
+ * (heading, paragraph, list item or table cell) must use the approved
+ * rendering for the target locale. Forbidden variants are reported wherever
+ * they appear in the target. Code and inline code are not checked.
+ *
+ * A locale entry is the approved rendering, a list of approved renderings,
+ * or an object with approved and forbidden renderings:
+ *
+ *   translations:
+ *     install:
+ *       en: Install
+ *       zh:
+ *         approved: 安装
+ *         forbidden: [安装程序, 装载]
+ *       ja: [インストール, 導入]
+ *
+ * Locales and (in --dir mode) directories default to .i18n/config.yaml.
+ *
+ * Example:
+ *   node check-consistency.js docs/en/guide.md docs/zh/guide.md
+ *   node check-consistency.js --dir docs/en docs/zh --json
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import yaml from 'js-yaml';
+import { loadConfig, getSourceDir, getTargetDir } from './config.js';
+import { isMdxPath, parseMarkdown, visit } from './markdown.js';
+import { countTerm } from './read-no-translate.js';
+import { parseLocales, findMarkdownFiles } from './validate.js';
+import { parseArgs, isMainModule, runMain, UsageError, EXIT_OK, EXIT_FAILURE } from './cli-args.js';
+
+const CONSISTENCY_FILE_NAME = 'translation-consistency.yaml';
+
+// Blocks that are aligned between source and target
+const BLOCK_TYPES = new Set(['heading', 'paragraph', 'tableCell']);
+
+/**
+ * Read translation consistency configuration from a .i18n directory
+ */
+async function readConsistencyConfig(i18nDir) {
+  return readConsistencyFile(path.join(i18nDir, CONSISTENCY_FILE_NAME));
+}
+
+/**
+ * Read a translation consistency file
+ */
+async function readConsistencyFile(configPath) {
+  try {
+    const content = await fs.readFile(configPath, 'utf-8');
+    const config = yaml.load(content) || {};
+    return { ...config, translations: config.translations || {} };
+  } catch {
+    // Config file doesn't exist, return empty config
+    return { translations: {} };
+  }
+}
+
+/**
+ * Turn a string, list or { approved, forbidden } entry into two lists
+ */
+function normalizeRendering(entry) {
+  if (entry === null || entry === undefined) return { approved: [], forbidden: [] };
+  if (typeof entry === 'string') return { approved: [entry], forbidden: [] };
+  if (Array.isArray(entry)) return { approved: entry.map(String), forbidden: [] };
+
+  const toList = value => [].concat(value ?? []).map(String);
+  return { approved: toList(entry.approved), forbidden: toList(entry.forbidden) };
+}
+
+/**
+ * Build the term rules for one locale pair
+ *
+ * Returns [{ term, source, approved, forbidden }] for every term with a
+ * rendering for targetLocale. The source text is the sourceLocale entry,
+ * falling back to the term key.
+ */
+function getTermRules(consistencyConfig, sourceLocale, targetLocale) {
+  const rules = [];
+
+  for (const [term, entry] of Object.entries(consistencyConfig?.translations || {})) {
+    if (!entry || typeof entry !== 'object') continue;
+
+    const { approved, forbidden } = normalizeRendering(entry[targetLocale]);
+    if (approved.length === 0 && forbidden.length === 0) continue;
+
+    const sourceRendering = normalizeRendering(entry[sourceLocale]).approved;
+    const sources = sourceRendering.length > 0 ? sourceRendering : [term];
+    rules.push({ term, source: sources, approved, forbidden });
+  }
+
+  return rules;
+}
+
+/**
+ * Prose blocks of a document in order: [{ type, text, line }]
+ *
+ * Code, inline code and URLs are left out.
+ */
+function extractTextBlocks(tree) {
+  const blocks = [];
+
+  visit(tree, null, node => {
+    if (!BLOCK_TYPES.has(node.type)) return;
+
+    const parts = [];
+    visit(node, 'text', text => parts.push(text.value));
+    blocks.push({ type: node.type, text: parts.join(''), line: node.position?.start.line });
+  });
+
+  return blocks;
+}
+
+/**
+ * Count approved renderings, not counting those inside a forbidden variant
+ * (安装 inside 安装程序)
+ */
+function countApproved(text, rule) {
+  let count = 0;
+  for (const approved of rule.approved) {
+    count += countTerm(text, approved);
+    for (const variant of rule.forbidden) {
+      if (variant !== approved && variant.includes(approved)) {
+        count -= countTerm(text, variant);
+      }
+    }
+  }
+  return count;
+}
+
+/**
+ * Check one source/target document pair
+ *
+ * Returns issues: [{ term, type, line, sourceLine, expected, found }] where
+ * type is 'missing' (approved rendering not used) or 'forbidden'. Lines are
+ * target lines, except for missing terms when the documents do not align
+ * (line is null then).
+ */
+function checkTermConsistency(source, target, rules, options = {}) {
+  const issues = [];
+  const srcBlocks = extractTextBlocks(parseMarkdown(source, options));
+  const tgtBlocks = extractTextBlocks(parseMarkdown(target, options));
+  const aligned = srcBlocks.length === tgtBlocks.length;
+
+  for (const rule of rules) {
+    const expected = rule.approved.join(' / ');
+
+    if (rule.approved.length > 0) {
+      if (aligned) {
+        // Each source block using the term needs the approved rendering in its counterpart
+        srcBlocks.forEach((block, index) => {
+          if (!rule.source.some(s => countTerm(block.text, s) > 0)) return;
+          if (countApproved(tgtBlocks[index].text, rule) > 0) return;
+          issues.push({ term: rule.term, type: 'missing', line: tgtBlocks[index].line, sourceLine: block.line, expected, found: null });
+        });
+      } else {
+        // Structure differs: compare occurrences across the whole document
+        const srcLines = srcBlocks.filter(b => rule.source.some(s => countTerm(b.text, s) > 0)).map(b => b.line);
+        const tgtCount = tgtBlocks.reduce((sum, b) => sum + countApproved(b.text, rule), 0);
+        if (srcLines.length > 0 && tgtCount === 0) {
+          issues.push({ term: rule.term, type: 'missing', line: null, sourceLine: srcLines[0], expected, found: null });
+        }
+      }
+    }
+
+    for (const block of tgtBlocks) {
+      for (const variant of rule.forbidden) {
+        if (countTerm(block.text, variant) > 0) {
+          issues.push({ term: rule.term, type: 'forbidden', line: block.line, sourceLine: null, expected, found: variant });
+        }
+      }
+    }
+  }
+
+  return issues.sort((a, b) => (a.line ?? 0) - (b.line ?? 0));
+}
+
+/**
+ * Check a target file against its source file
+ */
+async function checkFiles(sourcePath, targetPath, consistencyConfig, sourceLocale, targetLocale) {
+  const source = await fs.readFile(sourcePath, 'utf-8');
+  const target = await fs.readFile(targetPath, 'utf-8');
+  const rules = getTermRules(consistencyConfig, sourceLocale, targetLocale);
+
+  return checkTermConsistency(source, target, rules, { mdx: isMdxPath(sourcePath) || isMdxPath(targetPath) });
+}
+
+/**
+ * Check every translated file of a directory pair
+ *
+ * Returns { <relative path>: issues }; files without a translation are skipped.
+ */
+async function checkDirectories(sourceDir, targetDir, consistencyConfig, sourceLocale, targetLocale) {
+  const results = {};
+
+  for (const relPath of await findMarkdownFiles(sourceDir)) {
+    const tgtFile = path.join(targetDir, relPath);
+    try {
+      await fs.access(tgtFile);
+    } catch {
+      continue;
+    }
+    results[relPath] = await checkFiles(path.join(sourceDir, relPath), tgtFile, consistencyConfig, sourceLocale, targetLocale);
+  }
+
+  return results;
+}
+
+/**
+ * Format an issue as a report line
+ */
+function formatIssue(file, issue) {
+  const location = issue.line ? `${file}:${issue.line}` : file;
+  if (issue.type === 'forbidden') {
+    return `${location}  ${issue.term}: non-approved variant "${issue.found}" (use "${issue.expected}")`;
+  }
+  return `${location}  ${issue.term}: expected "${issue.expected}" (source line ${issue.sourceLine})`;
+}
+
+const OPTIONS = {
+  dir: { type: 'boolean' },
+  json: { type: 'boolean' },
+  'source-locale': { type: 'string' },
+  'target-locale': { type: 'string' },
+  config: { type: 'string' },
+  terms: { type: 'string' }
+};
+
+function printUsage() {
+  console.log('Usage: node check-consistency.js <source.md> <target.md> [options]');
+  console.log('       node check-consistency.js --dir [source_dir] [target_dir] [options]');
+  console.log('');
+  console.log('Options:');
+  console.log('  --dir              Check all files in directories');
+  console.log('                     (default: source_dir/target_dir from .i18n/config.yaml)');
+  console.log('  --json             Output as JSON');
+  console.log('  --source-locale    Source locale code (e.g., en)');
+  console.log('  --target-locale    Target locale code (e.g., zh)');
+  console.log('  --config           Project config file (default: .i18n/config.yaml)');
+  console.log(`  --terms            Term mappings (default: .i18n/${CONSISTENCY_FILE_NAME})`);
+  console.log('  --help, -h         Show this help message');
+  console.log('');
+  console.log('Examples:');
+  console.log('  node check-consistency.js docs/en/guide.md docs/zh/guide.md');
+  console.log('  node check-consistency.js --dir docs/en docs/zh');
+}
+
+async function main() {
+  const { values, positionals: paths, help } = parseArgs(process.argv.slice(2), OPTIONS);
+
+  if (help) {
+    printUsage();
+    return EXIT_OK;
+  }
+
+  const { dir: isDir, json: jsonOutput, config: configPath, terms: termsPath } = values;
+  const config = await loadConfig({ configPath });
+
+  if (isDir && paths.length === 0) {
+    const sourceDir = getSourceDir(config);
+    const targetDir = getTargetDir(config, values.targetLocale);
+    if (sourceDir && targetDir) {
+      paths.push(sourceDir, targetDir);
+    }
+  }
+
+  if (paths.length < 2) {
+    throw new UsageError('Missing required paths.');
+  }
+
+  const [source, target] = paths;
+  const suffix = isDir ? path.sep : '';
+  const { sourceLocale, targetLocale } = parseLocales(source + suffix, target + suffix, values, config);
+  if (!targetLocale) {
+    throw new UsageError('Could not detect the target locale; pass --target-locale');
+  }
+
+  if (termsPath) {
+    await fs.access(termsPath);
+  }
+  const consistencyConfig = termsPath
+    ? await readConsistencyFile(termsPath)
+    : await readConsistencyConfig(config.i18nDir || '.i18n');
+  const fromLocale = sourceLocale || 'en';
+
+  const results = isDir
+    ? await checkDirectories(source, target, consistencyConfig, fromLocale, targetLocale)
+    : { [target]: await checkFiles(source, target, consistencyConfig, fromLocale, targetLocale) };
+
+  const total = Object.values(results).reduce((sum, issues) => sum + issues.length, 0);
+
+  if (jsonOutput) {
+    console.log(JSON.stringify({ sourceLocale: fromLocale, targetLocale, results }, null, 2));
+  } else {
+    const ruleCount = getTermRules(consistencyConfig, fromLocale, targetLocale).length;
+    console.log(`Checking ${ruleCount} term(s): ${fromLocale} → ${targetLocale}\n`);
+
+    for (const [file, issues] of Object.entries(results)) {
+      const displayPath = isDir ? path.join(target, file) : file;
+      for (const issue of issues) {
+        console.log(formatIssue(displayPath, issue));
+      }
+    }
+
+    console.log(total === 0 ? 'PASSED' : `\nFAILED: ${total} terminology issue(s)`);
+  }
+
+  return total === 0 ? EXIT_OK : EXIT_FAILURE;
+}
+
+if (isMainModule(import.meta.url)) {
+  runMain(main);
+}
+
+export {
+  CONSISTENCY_FILE_NAME,
+  readConsistencyConfig,
+  readConsistencyFile,
+  getTermRules,
+  extractTextBlocks,
+  checkTermConsistency,
+  checkFiles,
+  checkDirectories
+};
@@ -57,13 +57,36 @@ async function main() {
   await fs.writeFile(targetFile, targetContent, 'utf-8');
 
   run('node', ['scripts/validate.js', sourceFile, targetFile, '--source-locale', 'en', '--target-locale', 'zh']);
+  run('node', ['scripts/cli.js', 'validate', sourceFile, targetFile, '--source-locale', 'en', '--target-locale', 'zh']);
+  run('node', ['scripts/validate.js', sourceFile, targetFile, '--source-locale', 'en', '--target-locale', 'zh', '--format', 'sarif']);
+  run('node', ['scripts/validate.js', sourceFile, targetFile, '--source-locale', 'en', '--target-locale', 'zh', '--fix', '--dry-run']);
+
+  // --fix localizes reference links but leaves image-only definitions alone
+  const refSourceFile = path.join(sourceDir, 'refs.md');
+  const refTargetFile = path.join(targetDir, 'refs.md');
+  await fs.writeFile(refSourceFile, '# Refs\n\nSee [setup][setup] and ![logo][img].\n\n[setup]: /en/setup\n[img]: /img/logo.png\n', 'utf-8');
+  await fs.writeFile(refTargetFile, '# 参考\n\n参见[安装][setup]和![标志][img]。\n\n[setup]: /en/setup\n[img]: /img/logo.png\n', 'utf-8');
+  spawnSync('node', ['scripts/validate.js', refSourceFile, refTargetFile, '--source-locale', 'en', '--target-locale', 'zh', '--fix'], { stdio: 'inherit' });
+  const fixedRefs = await fs.readFile(refTargetFile, 'utf-8');
+  if (!fixedRefs.includes('[setup]: /zh/setup') || !fixedRefs.includes('[img]: /img/logo.png')) {
+    throw new Error(`--fix: unexpected reference definitions:\n${fixedRefs}`);
+  }
+  await fs.rm(refSourceFile);
+  await fs.rm(refTargetFile);
+
+  run('node', ['scripts/validate.js', '--dir', sourceDir, targetDir, '--source-locale', 'en', '--target-locale', 'zh', '--jobs', '2']);
+  run('node', ['scripts/check-consistency.js', sourceFile, targetFile, '--source-locale', 'en', '--target-locale', 'zh']);
 
   const createPlanOutput = path.join(outputDir, 'translation-plan.yaml');
   run('node', ['scripts/create-plan.js', sourceDir, targetDir, '--output', createPlanOutput]);
   await fs.access(createPlanOutput);
 
+  const syncStateOutput = path.join(outputDir, 'sync-state.yaml');
+  run('node', ['scripts/update-plan.js', createPlanOutput, sourceFile, 'done', '--state', syncStateOutput]);
+  await fs.access(syncStateOutput);
+
   const syncPlanOutput = path.join(outputDir, 'sync-plan.yaml');
-  run('node', ['scripts/sync-plan.js', sourceDir, targetDir, '--output', syncPlanOutput]);
+  run('node', ['scripts/sync-plan.js', sourceDir, targetDir, '--output', syncPlanOutput, '--state', syncStateOutput]);
   await fs.access(syncPlanOutput);
 
   const gitPlanOutput = path.join(outputDir, 'git-sync-plan.yaml');
@@ -71,6 +94,26 @@ async function main() {
     cwd: path.resolve('.')
   });
   await fs.access(gitPlanOutput);
+  run('node', ['scripts/apply-sync.js', gitPlanOutput, '--dry-run'], {
+    cwd: path.resolve('.')
+  });
+
+  const gitDirPlanOutput = path.join(outputDir, 'git-sync-dir-plan.yaml');
+  run('node', ['scripts/git-diff-sync.js', 'scripts', 'scripts', '--output', gitDirPlanOutput, '--ref', 'HEAD'], {
+    cwd: path.resolve('.')
+  });
+  await fs.access(gitDirPlanOutput);
+
+  // Library entry point: importing must not run any script's main()
+  const api = await import('skill-markdown-i18n');
+  const syncPlan = await api.createSyncPlan(sourceDir, targetDir, { statePath: syncStateOutput });
+  if (syncPlan.summary.unchanged !== 1) {
+    throw new Error(`Node API: expected 1 unchanged file, got ${syncPlan.summary.unchanged}`);
+  }
+  const result = await api.validateFiles(sourceFile, targetFile, 'en', 'zh');
+  if (!result.passed) {
+    throw new Error(`Node API: validation failed: ${result.errors.join('; ')}`);
+  }
 }
 
 main().catch((err) => {
@@ -0,0 +1,170 @@
+/**
+ * Shared command line handling for all scripts.
+ *
+ * Exit codes (same for every script and for the markdown-i18n CLI):
+ *   0  success
+ *   1  failure (validation failed, or the operation raised an error)
+ *   2  usage error (unknown option, missing argument)
+ *
+ * Option specs map long names to { alias, type, default }:
+ *   type 'boolean' - flag, no value
+ *   type 'string'  - takes one value (`--opt value` or `--opt=value`)
+ *   type 'list'    - takes a value, may be repeated and comma-separated
+ *
+ * `--help` / `-h` is always recognized.
+ *
+ * Scripts only run their main function when executed directly, so they can
+ * also be imported (see index.js):
+ *
+ *   if (isMainModule(import.meta.url)) runMain(main);
+ */
+
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+import { isMainThread } from 'worker_threads';
+
+const EXIT_OK = 0;
+const EXIT_FAILURE = 1;
+const EXIT_USAGE = 2;
+
+class UsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UsageError';
+  }
+}
+
+/**
+ * Convert an option name to its camelCase key (dry-run → dryRun)
+ */
+function toKey(name) {
+  return name.replace(/-([a-z])/g, (_, c) => c.toUpperCase());
+}
+
+/**
+ * Parse argv against an option spec.
+ *
+ * Returns { values, positionals, help }, where values is keyed by the
+ * camelCase option name. Throws UsageError on unknown or incomplete options.
+ */
+function parseArgs(argv, spec = {}) {
+  const values = {};
+  const positionals = [];
+  const aliases = new Map();
+  let help = false;
+
+  for (const [name, option] of Object.entries(spec)) {
+    if (option.alias) aliases.set(option.alias, name);
+    if (option.default !== undefined) {
+      values[toKey(name)] = option.default;
+    } else if (option.type === 'boolean') {
+      values[toKey(name)] = false;
+    } else if (option.type === 'list') {
+      values[toKey(name)] = [];
+    } else {
+      values[toKey(name)] = null;
+    }
+  }
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    if (arg === '--help' || arg === '-h') {
+      help = true;
+      continue;
+    }
+    if (arg === '--') {
+      positionals.push(...argv.slice(i + 1));
+      break;
+    }
+    if (!arg.startsWith('-') || arg === '-') {
+      positionals.push(arg);
+      continue;
+    }
+
+    let name, inlineValue = null;
+    if (arg.startsWith('--')) {
+      const eqIdx = arg.indexOf('=');
+      name = eqIdx === -1 ? arg.slice(2) : arg.slice(2, eqIdx);
+      inlineValue = eqIdx === -1 ? null : arg.slice(eqIdx + 1);
+    } else {
+      name = aliases.get(arg.slice(1));
+    }
+
+    const option = name && spec[name];
+    if (!option) {
+      throw new UsageError(`Unknown option: ${arg}`);
+    }
+
+    const key = toKey(name);
+    if (option.type === 'boolean') {
+      if (inlineValue !== null) {
+        throw new UsageError(`Option --${name} does not take a value`);
+      }
+      values[key] = true;
+      continue;
+    }
+
+    const value = inlineValue !== null ? inlineValue : argv[++i];
+    if (value === undefined || (inlineValue === null && value.startsWith('-') && value !== '-')) {
+      throw new UsageError(`Option --${name} requires a value`);
+    }
+
+    if (option.type === 'list') {
+      values[key].push(...value.split(',').map(v => v.trim()).filter(Boolean));
+    } else {
+      values[key] = value;
+    }
+  }
+
+  return { values, positionals, help };
+}
+
+/**
+ * Check whether a module is the script node was started with.
+ *
+ * Resolves symlinks so that npm bin links count as direct execution. Worker
+ * threads share the process argv, so scripts they import never count.
+ */
+function isMainModule(moduleUrl) {
+  if (!isMainThread || !process.argv[1]) return false;
+
+  try {
+    return fs.realpathSync(process.argv[1]) === fs.realpathSync(fileURLToPath(moduleUrl));
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Run a script's main function with consistent error reporting and exit codes.
+ *
+ * main may return an exit code; anything else counts as success.
+ */
+function runMain(main) {
+  Promise.resolve()
+    .then(main)
+    .then(code => {
+      process.exitCode = typeof code === 'number' ? code : EXIT_OK;
+    })
+    .catch(err => {
+      if (err instanceof UsageError) {
+        console.error(`Error: ${err.message}`);
+        console.error('Run with --help for usage information.');
+        process.exitCode = EXIT_USAGE;
+      } else {
+        console.error('Error:', err.message);
+        process.exitCode = EXIT_FAILURE;
+      }
+    });
+}
+
+export {
+  EXIT_OK,
+  EXIT_FAILURE,
+  EXIT_USAGE,
+  UsageError,
+  parseArgs,
+  isMainModule,
+  runMain
+};
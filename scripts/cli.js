@@ -0,0 +1,92 @@
+#!/usr/bin/env node
+/**
+ * markdown-i18n command line interface.
+ *
+ * Usage:
+ *   markdown-i18n <command> [options]
+ *
+ * Each command runs the matching script with the remaining arguments, so
+ * `markdown-i18n validate --dir docs/en docs/zh` is the same as
+ * `node scripts/validate.js --dir docs/en docs/zh`. Exit codes follow
+ * cli-args.js (0 success, 1 failure, 2 usage error).
+ *
+ * Example:
+ *   markdown-i18n plan docs/en docs/zh
+ *   markdown-i18n validate --help
+ */
+
+import path from 'path';
+import { spawn } from 'child_process';
+import { fileURLToPath } from 'url';
+import { readFileSync } from 'fs';
+import { runMain, UsageError, EXIT_OK, EXIT_FAILURE } from './cli-args.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const COMMANDS = {
+  plan: { script: 'create-plan.js', description: 'Create a translation plan for a source directory' },
+  sync: { script: 'sync-plan.js', description: 'Create a sync plan from source/target directory changes' },
+  'git-sync': { script: 'git-diff-sync.js', description: 'Create a sync plan from git changes to a source file or directory' },
+  apply: { script: 'apply-sync.js', description: 'Apply the mechanical changes of a git-diff-sync plan to the targets' },
+  validate: { script: 'validate.js', description: 'Validate translated files against their source' },
+  consistency: { script: 'check-consistency.js', description: 'Check terminology against translation-consistency.yaml' },
+  diff: { script: 'diff-sections.js', description: 'List changed sections between two markdown files' },
+  update: { script: 'update-plan.js', description: 'Update a file\'s status in a translation plan' },
+  'no-translate': { script: 'read-no-translate.js', description: 'Show the no-translate configuration' },
+  install: { script: '../install.js', description: 'Install the skill for Cursor, Claude Code, Codex or Gemini' }
+};
+
+function getVersion() {
+  const pkg = JSON.parse(readFileSync(path.join(__dirname, '..', 'package.json'), 'utf-8'));
+  return pkg.version;
+}
+
+function printUsage() {
+  console.log('Usage: markdown-i18n <command> [options]');
+  console.log('');
+  console.log('Commands:');
+  for (const [name, command] of Object.entries(COMMANDS)) {
+    console.log(`  ${name.padEnd(14)} ${command.description}`);
+  }
+  console.log('');
+  console.log('Options:');
+  console.log('  --help, -h       Show help (use `markdown-i18n <command> --help` for a command)');
+  console.log('  --version, -v    Show version');
+  console.log('');
+  console.log('Exit codes: 0 success, 1 failure, 2 usage error');
+}
+
+/**
+ * Run a command's script and resolve with its exit code
+ */
+function runScript(script, args) {
+  return new Promise((resolve, reject) => {
+    const proc = spawn(process.execPath, [path.join(__dirname, script), ...args], { stdio: 'inherit' });
+    proc.on('close', code => resolve(code === null ? EXIT_FAILURE : code));
+    proc.on('error', reject);
+  });
+}
+
+async function main() {
+  const [commandName, ...args] = process.argv.slice(2);
+
+  if (!commandName || commandName === '--help' || commandName === '-h' || commandName === 'help') {
+    printUsage();
+    return EXIT_OK;
+  }
+
+  if (commandName === '--version' || commandName === '-v') {
+    console.log(getVersion());
+    return EXIT_OK;
+  }
+
+  const command = COMMANDS[commandName];
+  if (!command) {
+    throw new UsageError(`Unknown command: ${commandName} (expected one of ${Object.keys(COMMANDS).join(', ')})`);
+  }
+
+  return runScript(command.script, args);
+}
+
+runMain(main);
@@ -0,0 +1,238 @@
+/**
+ * Project configuration shared by all scripts.
+ *
+ * Looks for <project_root>/.i18n/config.yaml (or config.yml), falling back to
+ * the legacy <project_root>/.i18n.yml described in SKILL.md.
+ *
+ * Example:
+ *
+ *   source_locale: en
+ *   target_locales: [zh, ja]
+ *   source_dir: docs/en
+ *   target_dir: docs/{locale}
+ *   link_prefix:
+ *     zh: /zh
+ *     ja: /ja
+ *   preserve_patterns:
+ *     - "{{.*}}"
+ *     - "\\$[A-Z_]+"
+ *   routes:
+ *     index_files: [index, README]
+ *   frontmatter:
+ *     preserve: [slug, id, sidebar_position, tags]
+ *     translate: [title, description, summary]
+ *   rules:
+ *     link-count: off
+ *     list-items: { severity: warn, tolerance: 2 }
+ *   validate:
+ *     jobs: 4                 # or auto
+ *     cache: true             # or a path, default .i18n/cache/validate.json
+ *   sync_state:
+ *     frontmatter_key: source_commit   # also record baselines in target frontmatter
+ *
+ * Paths are relative to the project root (the directory holding .i18n).
+ * Command line flags always take precedence over config values.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import yaml from 'js-yaml';
+
+const CONFIG_FILE_NAMES = ['config.yaml', 'config.yml'];
+const LEGACY_CONFIG_FILE_NAMES = ['.i18n.yml', '.i18n.yaml'];
+
+const DEFAULT_CONFIG = {
+  source_locale: null,
+  target_locales: [],
+  source_dir: null,
+  target_dir: null,
+  link_prefix: {},
+  preserve_patterns: [],
+  routes: {},
+  frontmatter: {},
+  mdx: {},
+  rules: {},
+  validate: {},
+  sync_state: {}
+};
+
+/**
+ * Find .i18n directory
+ */
+async function findI18nDir(startPath = process.cwd()) {
+  const currentPath = startPath;
+
+  // Check if .i18n exists in current directory
+  const i18nPath = path.join(currentPath, '.i18n');
+  try {
+    const stat = await fs.stat(i18nPath);
+    if (stat.isDirectory()) {
+      return i18nPath;
+    }
+  } catch {
+    // Not found, try parent directory
+  }
+
+  // Check in parent directories (project root)
+  const pathsToCheck = [
+    currentPath,
+  ];
+
+  for (const checkPath of pathsToCheck) {
+    const testPath = path.join(checkPath, '.i18n');
+    try {
+      const stat = await fs.stat(testPath);
+      if (stat.isDirectory()) {
+        return testPath;
+      }
+    } catch {
+      continue;
+    }
+  }
+
+  return null;
+}
+
+async function findConfigFile(startPath) {
+  const i18nDir = await findI18nDir(startPath);
+  const candidates = [
+    ...(i18nDir ? CONFIG_FILE_NAMES.map(name => path.join(i18nDir, name)) : []),
+    ...LEGACY_CONFIG_FILE_NAMES.map(name => path.join(startPath, name))
+  ];
+
+  for (const candidate of candidates) {
+    try {
+      await fs.access(candidate);
+      return candidate;
+    } catch {
+      continue;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Fill in defaults and normalize value shapes
+ */
+function normalizeConfig(raw) {
+  const config = { ...DEFAULT_CONFIG, ...(raw || {}) };
+
+  if (typeof config.target_locales === 'string') {
+    config.target_locales = [config.target_locales];
+  }
+  // Accept the singular form too
+  if (config.target_locales.length === 0 && raw?.target_locale) {
+    config.target_locales = [raw.target_locale];
+  }
+
+  if (!Array.isArray(config.preserve_patterns)) {
+    config.preserve_patterns = [config.preserve_patterns].filter(Boolean);
+  }
+
+  return config;
+}
+
+/**
+ * Load the project configuration.
+ *
+ * Options:
+ *   cwd:        directory to start searching from (default: process.cwd())
+ *   configPath: explicit config file; an error is thrown if it can't be read
+ *
+ * Returns the normalized config plus:
+ *   configPath:  file the config was loaded from (null if none found)
+ *   projectRoot: directory config paths are relative to
+ *   i18nDir:     the project's .i18n directory (null if none found)
+ */
+async function loadConfig({ cwd = process.cwd(), configPath = null } = {}) {
+  const resolvedPath = configPath ? path.resolve(cwd, configPath) : await findConfigFile(cwd);
+  let raw = null;
+
+  if (resolvedPath) {
+    const content = await fs.readFile(resolvedPath, 'utf-8');
+    raw = yaml.load(content);
+  }
+
+  let projectRoot = cwd;
+  if (resolvedPath) {
+    const configDir = path.dirname(resolvedPath);
+    projectRoot = path.basename(configDir) === '.i18n' ? path.dirname(configDir) : configDir;
+  }
+
+  return {
+    ...normalizeConfig(raw),
+    configPath: resolvedPath,
+    projectRoot,
+    i18nDir: await findI18nDir(projectRoot)
+  };
+}
+
+/**
+ * Resolve a config-relative path to a path relative to the working directory
+ */
+function resolveConfigPath(config, configuredPath, cwd = process.cwd()) {
+  if (!configuredPath) return null;
+  if (path.isAbsolute(configuredPath)) return configuredPath;
+
+  const relative = path.relative(cwd, path.resolve(config.projectRoot, configuredPath));
+  return relative || '.';
+}
+
+/**
+ * Get the configured source directory
+ */
+function getSourceDir(config, cwd = process.cwd()) {
+  return resolveConfigPath(config, config.source_dir, cwd);
+}
+
+/**
+ * Get the configured target directory for a locale.
+ *
+ * `target_dir` may contain a `{locale}` placeholder, e.g. `docs/{locale}`.
+ */
+function getTargetDir(config, locale = null, cwd = process.cwd()) {
+  if (!config.target_dir) return null;
+
+  const targetLocale = locale || config.target_locales[0];
+  if (config.target_dir.includes('{locale}')) {
+    if (!targetLocale) return null;
+    return resolveConfigPath(config, config.target_dir.replaceAll('{locale}', targetLocale), cwd);
+  }
+
+  return resolveConfigPath(config, config.target_dir, cwd);
+}
+
+/**
+ * Map a source file to its counterpart in the target directory
+ */
+function mapSourceToTarget(config, sourceFile, locale = null, cwd = process.cwd()) {
+  const sourceDir = getSourceDir(config, cwd);
+  const targetDir = getTargetDir(config, locale, cwd);
+  if (!sourceDir || !targetDir) return null;
+
+  const relPath = path.relative(sourceDir, sourceFile);
+  if (relPath.startsWith('..') || path.isAbsolute(relPath)) return null;
+
+  return path.join(targetDir, relPath);
+}
+
+/**
+ * Get the internal link prefix for a locale (default: /<locale>)
+ */
+function getLinkPrefix(config, locale) {
+  if (!locale) return null;
+  const prefix = config.link_prefix?.[locale] ?? `/${locale}`;
+  return prefix.replace(/\/+$/, '');
+}
+
+export {
+  DEFAULT_CONFIG,
+  findI18nDir,
+  loadConfig,
+  resolveConfigPath,
+  getSourceDir,
+  getTargetDir,
+  mapSourceToTarget,
+  getLinkPrefix
+};
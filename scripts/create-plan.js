@@ -3,7 +3,15 @@
  * Create a translation plan for markdown i18n.
  *
  * Usage:
- *   node create-plan.js <source_dir> <target_dir> [--output <plan_file>]
+ *   node create-plan.js [source_dir] [target_dir] [--output <plan_file>] [--config <file>]
+ *   node create-plan.js [source_dir] <target_dir_with_{locale}> --locales zh,ja,ko
+ *
+ * source_dir and target_dir default to `source_dir` / `target_dir` from the
+ * project config (.i18n/config.yaml, see config.js).
+ *
+ * When several target locales are given (via --locales, or `target_locales`
+ * in the config together with a `{locale}` placeholder in target_dir), one
+ * plan tracks the status of every source file per locale (see plan.js).
  *
  * Output location:
  *   - Project skill: <project_root>/.i18n/translation-plan.yaml
@@ -12,12 +20,17 @@
  * Example:
  *   node create-plan.js docs/en docs/zh
  *   node create-plan.js docs/en docs/zh --output custom/location/plan.yaml
+ *   node create-plan.js docs/en 'docs/{locale}' --locales zh,ja,ko
+ *   node create-plan.js
  */
 
 import fs from 'fs/promises';
 import path from 'path';
-import yaml from 'js-yaml';
 import { fileURLToPath } from 'url';
+import { loadConfig, getSourceDir, getTargetDir } from './config.js';
+import { getDefaultStatePath } from './sync-state.js';
+import { getPlanStatus, summarizeMultiLocalePlan, dumpPlan, writePlanFile } from './plan.js';
+import { parseArgs, isMainModule, runMain, UsageError, EXIT_OK, EXIT_USAGE } from './cli-args.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -100,12 +113,19 @@ async function detectInstallationType() {
   };
 }
 
-async function createPlan(sourceDir, targetDir, outputPath, dryRun = false) {
+/**
+ * Create a translation plan for one target directory.
+ *
+ * Options:
+ *   statePath: sync state manifest recorded in the plan (see sync-state.js)
+ *
+ * Returns the plan object; use writePlanFile() from plan.js to save it.
+ */
+async function createPlan(sourceDir, targetDir, { statePath = null } = {}) {
   const sourceFiles = await findMarkdownFiles(sourceDir);
   
   if (sourceFiles.length === 0) {
-    console.error(`No .md/.mdx files found in ${sourceDir}`);
-    process.exit(1);
+    throw new Error(`No .md/.mdx files found in ${sourceDir}`);
   }
   
   const files = [];
@@ -127,13 +147,14 @@ async function createPlan(sourceDir, targetDir, outputPath, dryRun = false) {
   }
   
   const remaining = files.length - completed;
-  const status = remaining === 0 ? 'completed' : (completed > 0 ? 'in_progress' : 'not_started');
+  const status = getPlanStatus(completed, files.length);
   
   const plan = {
     meta: {
       created: new Date().toISOString(),
       source_dir: sourceDir,
       target_dir: targetDir,
+      sync_state: statePath,
       status: status
     },
     summary: {
@@ -145,60 +166,169 @@ async function createPlan(sourceDir, targetDir, outputPath, dryRun = false) {
     log: []
   };
   
-  const yamlContent = yaml.dump(plan, {
-    indent: 2,
-    lineWidth: -1,
-    noRefs: true
-  });
+  return plan;
+}
+
+/**
+ * Create one plan tracking several target locales.
+ *
+ * targetDirs maps each locale to its target directory, e.g. { zh: 'docs/zh' }.
+ * Accepts the same options as createPlan() and returns the plan object.
+ */
+async function createMultiLocalePlan(sourceDir, targetDirs, { statePath = null } = {}) {
+  const sourceFiles = await findMarkdownFiles(sourceDir);
+  const locales = Object.keys(targetDirs);
+  
+  if (sourceFiles.length === 0) {
+    throw new Error(`No .md/.mdx files found in ${sourceDir}`);
+  }
+  
+  const files = [];
   
+  for (const relPath of sourceFiles) {
+    const entry = {
+      source: path.join(sourceDir, relPath),
+      locales: {}
+    };
+    
+    for (const locale of locales) {
+      const targetPath = path.join(targetDirs[locale], relPath);
+      const exists = await fileExists(targetPath);
+      
+      entry.locales[locale] = {
+        target: targetPath,
+        status: exists ? 'done' : 'pending',
+        notes: ''
+      };
+    }
+    
+    files.push(entry);
+  }
+  
+  const summary = summarizeMultiLocalePlan(files, locales);
+  
+  const plan = {
+    meta: {
+      created: new Date().toISOString(),
+      source_dir: sourceDir,
+      target_locales: locales,
+      target_dirs: targetDirs,
+      sync_state: statePath,
+      status: getPlanStatus(summary.completed, summary.total)
+    },
+    summary,
+    files,
+    log: []
+  };
+  
+  return plan;
+}
+
+/**
+ * Write the plan file (or print it on --dry-run) and show a summary
+ */
+async function outputPlan(plan, outputPath, dryRun) {
   if (dryRun) {
-    console.log(yamlContent);
+    console.log(dumpPlan(plan));
+    return;
+  }
+  
+  await writePlanFile(plan, outputPath);
+  console.log(`Plan created: ${outputPath}`);
+  
+  if (plan.meta.target_locales) {
+    console.log(`Source files: ${plan.files.length}`);
+    for (const locale of plan.meta.target_locales) {
+      const { completed, remaining } = plan.summary.locales[locale];
+      console.log(`  ${locale}: ${completed} done, ${remaining} pending (${plan.meta.target_dirs[locale]})`);
+    }
   } else {
-    const outputDir = path.dirname(outputPath);
-    await fs.mkdir(outputDir, { recursive: true });
-    await fs.writeFile(outputPath, yamlContent, 'utf-8');
-    
-    console.log(`Plan created: ${outputPath}`);
-    console.log(`Total files: ${files.length}`);
-    console.log(`Already done: ${completed}`);
-    console.log(`Pending: ${remaining}`);
+    console.log(`Total files: ${plan.summary.total}`);
+    console.log(`Already done: ${plan.summary.completed}`);
+    console.log(`Pending: ${plan.summary.remaining}`);
   }
 }
 
+const OPTIONS = {
+  output: { alias: 'o', type: 'string' },
+  locales: { alias: 'l', type: 'list' },
+  config: { type: 'string' },
+  'dry-run': { type: 'boolean' }
+};
+
+function printUsage() {
+  console.log('Usage: node create-plan.js [source_dir] [target_dir] [--locales <list>] [--output <file>] [--dry-run]');
+  console.log('');
+  console.log('Arguments:');
+  console.log('  source_dir       Source directory containing markdown files');
+  console.log('                   (default: source_dir from .i18n/config.yaml)');
+  console.log('  target_dir       Target directory for translated files');
+  console.log('                   (default: target_dir from .i18n/config.yaml)');
+  console.log('                   Use a {locale} placeholder to plan several locales');
+  console.log('  --locales, -l    Comma-separated target locales (default: target_locales from config)');
+  console.log('  --output, -o     Custom output path (optional)');
+  console.log('  --config         Project config file (default: .i18n/config.yaml)');
+  console.log('  --dry-run        Print plan to stdout instead of writing file');
+  console.log('  --help, -h       Show this help message');
+  console.log('');
+  console.log('Output location (default):');
+  console.log('  - Project skill:  <project_root>/.i18n/translation-plan.yaml');
+  console.log('  - Global skill:   <cwd>/.i18n/translation-plan.yaml');
+  console.log('');
+  console.log('Examples:');
+  console.log('  node create-plan.js docs/en docs/zh');
+  console.log('  node create-plan.js docs/en docs/zh --output custom/plan.yaml');
+  console.log("  node create-plan.js docs/en 'docs/{locale}' --locales zh,ja,ko");
+}
+
 async function main() {
   // Parse arguments
-  const args = process.argv.slice(2);
-  let sourceDir, targetDir, outputPath = null, dryRun = false;
-
-  for (let i = 0; i < args.length; i++) {
-    if (args[i] === '--output' || args[i] === '-o') {
-      outputPath = args[++i];
-    } else if (args[i] === '--dry-run') {
-      dryRun = true;
-    } else if (!sourceDir) {
-      sourceDir = args[i];
-    } else if (!targetDir) {
-      targetDir = args[i];
+  const { values, positionals, help } = parseArgs(process.argv.slice(2), OPTIONS);
+
+  if (help) {
+    printUsage();
+    return EXIT_OK;
+  }
+
+  if (positionals.length > 2) {
+    throw new UsageError(`Unexpected argument: ${positionals[2]}`);
+  }
+
+  const { output: outputPath, config: configPath, dryRun } = values;
+  let [sourceDir, targetDir] = positionals;
+
+  // Fall back to the project config for anything not given on the command line
+  const config = await loadConfig({ configPath });
+  sourceDir = sourceDir || getSourceDir(config);
+
+  // Expand a {locale} target directory into one directory per locale
+  const targetTemplate = targetDir || null;
+  const isTemplate = targetTemplate ? targetTemplate.includes('{locale}') : !!config.target_dir?.includes('{locale}');
+  const locales = values.locales.length > 0
+    ? values.locales
+    : (isTemplate ? config.target_locales : []);
+  const resolveTargetDir = locale => targetTemplate
+    ? targetTemplate.replaceAll('{locale}', locale)
+    : getTargetDir(config, locale);
+  let targetDirs = null;
+
+  if (locales.length > 1) {
+    if (!isTemplate) {
+      throw new UsageError('target_dir must contain a {locale} placeholder when planning several locales');
     }
+    targetDirs = Object.fromEntries(locales.map(locale => [locale, resolveTargetDir(locale)]));
+    targetDir = targetTemplate || config.target_dir;
+  } else if (locales.length === 1) {
+    targetDir = resolveTargetDir(locales[0]);
+  } else if (!isTemplate) {
+    targetDir = targetTemplate || getTargetDir(config);
+  } else {
+    targetDir = null;
   }
 
   if (!sourceDir || !targetDir) {
-    console.log('Usage: node create-plan.js <source_dir> <target_dir> [--output <file>] [--dry-run]');
-    console.log('');
-    console.log('Arguments:');
-    console.log('  source_dir       Source directory containing markdown files');
-    console.log('  target_dir       Target directory for translated files');
-    console.log('  --output, -o     Custom output path (optional)');
-    console.log('  --dry-run        Print plan to stdout instead of writing file');
-    console.log('');
-    console.log('Output location (default):');
-    console.log('  - Project skill:  <project_root>/.i18n/translation-plan.yaml');
-    console.log('  - Global skill:   <cwd>/.i18n/translation-plan.yaml');
-    console.log('');
-    console.log('Examples:');
-    console.log('  node create-plan.js docs/en docs/zh');
-    console.log('  node create-plan.js docs/en docs/zh --output custom/plan.yaml');
-    process.exit(1);
+    printUsage();
+    return EXIT_USAGE;
   }
 
   // Detect installation type and determine default output path
@@ -222,10 +352,17 @@ async function main() {
     console.log(`  Output path (custom): ${finalOutputPath}`);
   }
 
-  await createPlan(sourceDir, targetDir, finalOutputPath, dryRun);
+  const statePath = getDefaultStatePath(path.dirname(defaultOutputPath));
+
+  const plan = targetDirs
+    ? await createMultiLocalePlan(sourceDir, targetDirs, { statePath })
+    : await createPlan(sourceDir, targetDir, { statePath });
+
+  await outputPlan(plan, finalOutputPath, dryRun);
+}
+
+if (isMainModule(import.meta.url)) {
+  runMain(main);
 }
 
-main().catch(err => {
-  console.error('Error:', err.message);
-  process.exit(1);
-});
+export { findMarkdownFiles, detectInstallationType, createPlan, createMultiLocalePlan };
@@ -3,45 +3,37 @@
  * Identify changed sections between two versions of a markdown file.
  *
  * Usage:
- *   node diff-sections.js <old.md> <new.md>
+ *   node diff-sections.js <old.md> <new.md> [--json] [--show-diff]
  *
  * Output:
  *   List of sections that changed, for targeted translation updates.
+ *
+ * Sections start at top-level headings (see markdown.js), so `#` lines in
+ * code blocks do not split sections.
  */
 
 import fs from 'fs/promises';
+import { isMdxPath, extractSections } from './markdown.js';
+import { parseArgs, isMainModule, runMain, EXIT_OK, EXIT_USAGE } from './cli-args.js';
 
-function extractSections(content) {
+/**
+ * Map section keys (`## Title`, or `__intro__` for content before the first
+ * heading) to their content
+ */
+function getSectionMap(content, options = {}) {
   const sections = {};
-  let currentHeading = '__intro__';
-  let currentContent = [];
-  
-  for (const line of content.split('\n')) {
-    const headingMatch = line.match(/^(#{1,6})\s+(.+)$/);
-    
-    if (headingMatch) {
-      // Save previous section
-      sections[currentHeading] = currentContent.join('\n');
-      
-      // Start new section
-      const level = headingMatch[1].length;
-      const title = headingMatch[2];
-      currentHeading = `${'#'.repeat(level)} ${title}`;
-      currentContent = [line];
-    } else {
-      currentContent.push(line);
-    }
+
+  for (const section of extractSections(content, options)) {
+    const key = section.title === null ? '__intro__' : `${'#'.repeat(section.level)} ${section.title}`;
+    sections[key] = section.content;
   }
-  
-  // Save last section
-  sections[currentHeading] = currentContent.join('\n');
-  
+
   return sections;
 }
 
-function compareSections(oldContent, newContent) {
-  const oldSections = extractSections(oldContent);
-  const newSections = extractSections(newContent);
+function compareSections(oldContent, newContent, options = {}) {
+  const oldSections = getSectionMap(oldContent, options);
+  const newSections = getSectionMap(newContent, options);
   
   const oldKeys = new Set(Object.keys(oldSections));
   const newKeys = new Set(Object.keys(newSections));
@@ -91,28 +83,32 @@ function generateDiff(oldText, newText) {
   return diff.join('\n');
 }
 
+const OPTIONS = {
+  json: { type: 'boolean' },
+  'show-diff': { type: 'boolean' }
+};
+
+function printUsage() {
+  console.log('Usage: node diff-sections.js <old.md> <new.md> [options]');
+  console.log('');
+  console.log('Options:');
+  console.log('  --json       Output as JSON');
+  console.log('  --show-diff  Show actual diffs for modified sections');
+  console.log('  --help, -h   Show this help message');
+}
+
 async function main() {
-  const args = process.argv.slice(2);
-  let jsonOutput = false, showDiff = false;
-  const paths = [];
+  const { values, positionals: paths, help } = parseArgs(process.argv.slice(2), OPTIONS);
+  const { json: jsonOutput, showDiff } = values;
   
-  for (let i = 0; i < args.length; i++) {
-    if (args[i] === '--json') {
-      jsonOutput = true;
-    } else if (args[i] === '--show-diff') {
-      showDiff = true;
-    } else {
-      paths.push(args[i]);
-    }
+  if (help) {
+    printUsage();
+    return EXIT_OK;
   }
   
   if (paths.length < 2) {
-    console.log('Usage: node diff-sections.js <old.md> <new.md>');
-    console.log('');
-    console.log('Options:');
-    console.log('  --json       Output as JSON');
-    console.log('  --show-diff  Show actual diffs for modified sections');
-    process.exit(1);
+    printUsage();
+    return EXIT_USAGE;
   }
   
   const [oldPath, newPath] = paths;
@@ -120,7 +116,8 @@ async function main() {
   const oldContent = await fs.readFile(oldPath, 'utf-8');
   const newContent = await fs.readFile(newPath, 'utf-8');
   
-  const changes = compareSections(oldContent, newContent);
+  const parseOptions = { mdx: isMdxPath(oldPath) || isMdxPath(newPath) };
+  const changes = compareSections(oldContent, newContent, parseOptions);
   
   if (jsonOutput) {
     console.log(JSON.stringify(changes, null, 2));
@@ -154,8 +151,8 @@ async function main() {
       console.log(`\nTotal: ${total} section(s) changed`);
       
       if (showDiff && changes.modified.length > 0) {
-        const oldSections = extractSections(oldContent);
-        const newSections = extractSections(newContent);
+        const oldSections = getSectionMap(oldContent, parseOptions);
+        const newSections = getSectionMap(newContent, parseOptions);
         
         console.log('\n' + '='.repeat(60));
         for (const section of changes.modified) {
@@ -168,4 +165,8 @@ async function main() {
   }
 }
 
-main();
+if (isMainModule(import.meta.url)) {
+  runMain(main);
+}
+
+export { getSectionMap, compareSections, generateDiff };
@@ -0,0 +1,204 @@
+/**
+ * Validation findings.
+ *
+ * Every problem validate.js reports is a finding:
+ *
+ *   { rule, severity, message, file, line, column }
+ *
+ * rule is one of the ids in RULES, severity is 'error' or 'warning', and
+ * line/column (1-based) point into the target file when the check knows the
+ * location, else they are null. The `errors` / `warnings` string lists of a
+ * validation result are derived from its findings.
+ *
+ * Severities and thresholds can be set per rule in .i18n/config.yaml:
+ *
+ *   rules:
+ *     link-count: off               # off, warn or error
+ *     heading-count: warn
+ *     list-items:
+ *       severity: error
+ *       tolerance: 5                # allowed difference in list item count
+ *
+ * and single findings can be suppressed in the target file with a comment on
+ * the line before (`{/* ... *\/}` in MDX):
+ *
+ *   <!-- i18n-disable-next-line link-count, untranslated -->
+ *
+ * Without rule names every rule is suppressed on that line. The count rules
+ * (DOCUMENT_RULES) are about the whole document and have no line: a comment
+ * naming one of them anywhere in the file suppresses it. Other findings
+ * without a line cannot be suppressed by a comment. Suppressed findings are
+ * kept in the result's `suppressed` list for auditing.
+ */
+
+import { visit } from './markdown.js';
+
+const RULES = {
+  'parse-error': 'Source and target must parse as markdown / MDX',
+  'target-missing': 'Every source file has a translation',
+  'heading-count': 'Target has the same number of headings',
+  'code-block': 'Code blocks keep their language and content',
+  'table': 'Tables keep their shape, alignment row and literal cells',
+  'mdx': 'MDX imports, expressions, components and props are kept',
+  'custom-id': 'Explicit {#custom-id} heading anchors are kept',
+  'fragment-link': '#fragment links resolve to an anchor',
+  'internal-link': 'Internal links point at pages of the target locale',
+  'preserved-token': 'Inline code, placeholders and variables are kept',
+  'link-count': 'Target has the same number of links',
+  'link-localization': 'Internal links use the target locale prefix',
+  'no-translate': 'No-translate headings, terms, sections and URLs are kept',
+  'untranslated': 'Prose is translated',
+  'frontmatter': 'Frontmatter keys, preserved and translated values',
+  'list-items': 'Target has about the same number of list items',
+  'orphan-file': 'Every target file has a source file',
+  'file-case': 'Target file names match the source case'
+};
+
+// Rules whose findings cover the whole document instead of a line
+const DOCUMENT_RULES = new Set(['heading-count', 'link-count', 'list-items']);
+
+const SEVERITIES = { off: 'off', warn: 'warning', warning: 'warning', error: 'error' };
+
+const SUPPRESSION_PATTERN = /^\s*(?:<!--|\/\*)\s*i18n-disable-next-line\b(.*?)\s*(?:-->|\*\/)\s*$/s;
+
+/**
+ * Read per-rule severities and thresholds from the project config
+ *
+ * Returns { <rule>: { severity, options } } where severity is 'off',
+ * 'warning', 'error' or null (keep the check's default). Throws on unknown
+ * rules and severities.
+ */
+function getRuleSettings(config = {}) {
+  const settings = {};
+
+  for (const [rule, value] of Object.entries(config.rules || {})) {
+    if (!RULES[rule]) {
+      throw new Error(`Unknown rule in rules config: "${rule}" (known rules: ${Object.keys(RULES).join(', ')})`);
+    }
+
+    const entry = value !== null && typeof value === 'object' ? value : { severity: value };
+    const { severity: level = null, ...options } = entry;
+    const severity = level === false ? 'off' : level === null ? null : SEVERITIES[String(level)];
+    if (severity === undefined) {
+      throw new Error(`Invalid severity for rule "${rule}": "${level}" (expected off, warn or error)`);
+    }
+
+    settings[rule] = { severity, options };
+  }
+
+  return settings;
+}
+
+/**
+ * Threshold option of a rule, or the fallback if not configured
+ */
+function getRuleOption(settings, rule, name, fallback) {
+  return settings?.[rule]?.options?.[name] ?? fallback;
+}
+
+/**
+ * Find `i18n-disable-next-line` comments in a parsed target document
+ *
+ * Returns [{ line, appliesTo, rules }] where line is the comment's line,
+ * appliesTo the line it suppresses, and rules the named rules (empty: all).
+ */
+function findSuppressions(tree) {
+  const suppressions = [];
+
+  visit(tree, null, node => {
+    if (node.type !== 'html' && node.type !== 'mdxFlowExpression' && node.type !== 'mdxTextExpression') return;
+
+    const match = node.value.match(SUPPRESSION_PATTERN);
+    if (!match) return;
+
+    suppressions.push({
+      line: node.position?.start.line,
+      appliesTo: node.position?.end.line + 1,
+      rules: match[1].split(/[\s,]+/).filter(Boolean)
+    });
+  });
+
+  return suppressions;
+}
+
+/**
+ * Apply rule severities and suppressions to findings
+ *
+ * Returns { findings, suppressed }: rules set to off are dropped, suppressed
+ * findings get `suppressedBy` (the comment's line). Findings without a line
+ * are only suppressed for DOCUMENT_RULES, by a comment naming the rule.
+ */
+function applyRuleSettings(findings, settings = {}, suppressions = []) {
+  const kept = [];
+  const suppressed = [];
+
+  for (const finding of findings) {
+    const severity = settings[finding.rule]?.severity;
+    if (severity === 'off') continue;
+    const adjusted = severity ? { ...finding, severity } : finding;
+
+    const suppression = suppressions.find(s => finding.line === null
+      ? DOCUMENT_RULES.has(finding.rule) && s.rules.includes(finding.rule)
+      : s.appliesTo === finding.line && (s.rules.length === 0 || s.rules.includes(finding.rule)));
+
+    if (suppression) {
+      suppressed.push({ ...adjusted, suppressedBy: suppression.line });
+    } else {
+      kept.push(adjusted);
+    }
+  }
+
+  return { findings: kept, suppressed };
+}
+
+/**
+ * An issue located at a node of the target (anything with line and column)
+ */
+function issueAt(location, message) {
+  return { message, line: location?.line ?? null, column: location?.column ?? null };
+}
+
+/**
+ * Turn check results of one rule into findings
+ *
+ * Checks return { message, line, column } issues located in the target
+ * (1-based, null when unknown; see issueAt), or plain message strings for
+ * findings without a target location (counts, content missing from the target).
+ */
+function toFindings(rule, severity, issues, file = null) {
+  return issues.map(issue => {
+    const { message, line = null, column = null } = typeof issue === 'string' ? { message: issue } : issue;
+    return { rule, severity, message, file, line, column: line === null ? null : column ?? 1 };
+  });
+}
+
+/**
+ * Build a validation result from findings
+ *
+ * Returns { passed, errors, warnings, findings, suppressed, localeInfo }.
+ */
+function summarizeFindings(findings, localeInfo = {}, suppressed = []) {
+  const errors = findings.filter(f => f.severity === 'error').map(f => f.message);
+  const warnings = findings.filter(f => f.severity === 'warning').map(f => f.message);
+
+  return {
+    passed: errors.length === 0,
+    errors,
+    warnings,
+    findings,
+    suppressed,
+    localeInfo
+  };
+}
+
+export {
+  RULES,
+  DOCUMENT_RULES,
+  getRuleSettings,
+  getRuleOption,
+  findSuppressions,
+  applyRuleSettings,
+  issueAt,
+  toFindings,
+  summarizeFindings
+};
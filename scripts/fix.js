@@ -0,0 +1,227 @@
+/**
+ * Mechanical fixes for validate.js --fix.
+ *
+ * Only problems with exactly one correct answer are fixed:
+ *   - code blocks whose content or language tag differs from the source are
+ *     restored verbatim from the source (when both have the same number of
+ *     code blocks, so they can be paired)
+ *   - internal links that still use the source locale prefix (`/en/guide` →
+ *     `/zh/guide`) or have no locale prefix (`/guide` → `/zh/guide`),
+ *     including reference definitions used by links (not images)
+ *
+ * Links matching a no-translate URL pattern are left alone. Everything else
+ * in the target is kept byte for byte.
+ */
+
+import { parseMarkdown, visit } from './markdown.js';
+import { shouldNotTranslate } from './read-no-translate.js';
+
+const DIFF_CONTEXT = 3;
+
+/**
+ * Rewrite an internal link to the target locale, or return null if it is fine
+ */
+function localizeUrl(url, sourcePrefix, targetPrefix) {
+  if (!url.startsWith('/') || url.startsWith('//') || !targetPrefix) return null;
+  if (url === targetPrefix || url.startsWith(`${targetPrefix}/`) || url.startsWith(`${targetPrefix}?`) || url.startsWith(`${targetPrefix}#`)) {
+    return null;
+  }
+
+  if (sourcePrefix && url.startsWith(`${sourcePrefix}/`)) {
+    return `${targetPrefix}${url.slice(sourcePrefix.length)}`;
+  }
+  // Other locales' links are intentional
+  if (/^\/[a-z]{2}(?:[-_][A-Za-z]+)?\//.test(url)) return null;
+  return `${targetPrefix}${url}`;
+}
+
+/**
+ * Re-indent a source code block for the target's container (list item,
+ * blockquote): the first line keeps its position, later lines swap the
+ * source's container prefix for the target's
+ */
+function reindentCode(sourceContent, srcNode, targetContent, tgtNode) {
+  const raw = sourceContent.slice(srcNode.position.start.offset, srcNode.position.end.offset);
+  const srcIndent = srcNode.position.start.column - 1;
+  const tgtLineStart = targetContent.lastIndexOf('\n', tgtNode.position.start.offset - 1) + 1;
+  const tgtPrefix = targetContent.slice(tgtLineStart, tgtNode.position.start.offset);
+
+  return raw
+    .split('\n')
+    .map((line, index) => (index === 0 ? line : tgtPrefix + line.slice(srcIndent)))
+    .join('\n');
+}
+
+/**
+ * Find the fixes for a target document
+ *
+ * Options:
+ *   mdx:          parse as MDX
+ *   linkPrefixes: { source, target } internal link prefixes
+ *   noTranslate:  rules from .i18n/no-translate.yaml
+ *
+ * Returns { content, fixes } where content is the fixed target and fixes
+ * lists [{ rule, line, description }] in target line order. Throws if a
+ * document cannot be parsed.
+ */
+function fixTarget(source, target, options = {}) {
+  const srcTree = parseMarkdown(source, { mdx: options.mdx });
+  const tgtTree = parseMarkdown(target, { mdx: options.mdx });
+  const edits = [];
+
+  // Code blocks
+  const srcCode = [];
+  const tgtCode = [];
+  visit(srcTree, 'code', node => srcCode.push(node));
+  visit(tgtTree, 'code', node => tgtCode.push(node));
+
+  if (srcCode.length === tgtCode.length) {
+    srcCode.forEach((srcNode, index) => {
+      const tgtNode = tgtCode[index];
+      if (srcNode.value === tgtNode.value && (srcNode.lang || '') === (tgtNode.lang || '') && (srcNode.meta || '') === (tgtNode.meta || '')) {
+        return;
+      }
+
+      const what = (srcNode.lang || '') !== (tgtNode.lang || '') && srcNode.value === tgtNode.value
+        ? `language tag '${tgtNode.lang || ''}' → '${srcNode.lang || ''}'`
+        : 'content restored from source';
+      edits.push({
+        start: tgtNode.position.start.offset,
+        end: tgtNode.position.end.offset,
+        text: reindentCode(source, srcNode, target, tgtNode),
+        fix: { rule: 'code-block', line: tgtNode.position.start.line, description: `Code block ${index + 1}: ${what}` }
+      });
+    });
+  }
+
+  // Link prefixes
+  const { source: sourcePrefix, target: targetPrefix } = options.linkPrefixes || {};
+  // Definitions only count as links when a link reference uses them;
+  // `[logo]: /img/logo.png` behind `![logo][logo]` is an image path
+  const linkIdentifiers = new Set();
+  visit(tgtTree, 'linkReference', node => linkIdentifiers.add(node.identifier));
+
+  visit(tgtTree, null, node => {
+    if (node.type !== 'link' && node.type !== 'definition') return;
+    if (node.type === 'definition' && !linkIdentifiers.has(node.identifier)) return;
+    if (shouldNotTranslate(node.url, 'url', options.noTranslate).shouldSkip) return;
+
+    const url = localizeUrl(node.url, sourcePrefix, targetPrefix);
+    if (!url) return;
+
+    // The destination is written after the link text / label
+    const start = node.position.start.offset;
+    const raw = target.slice(start, node.position.end.offset);
+    const index = raw.lastIndexOf(node.url);
+    if (index === -1) return;
+
+    edits.push({
+      start: start + index,
+      end: start + index + node.url.length,
+      text: url,
+      fix: { rule: 'link-localization', line: node.position.start.line, description: `Link ${node.url} → ${url}` }
+    });
+  });
+
+  let content = target;
+  for (const edit of [...edits].sort((a, b) => b.start - a.start)) {
+    content = content.slice(0, edit.start) + edit.text + content.slice(edit.end);
+  }
+
+  return {
+    content,
+    fixes: edits.map(e => e.fix).sort((a, b) => a.line - b.line)
+  };
+}
+
+/**
+ * Line operations turning a into b: [{ type: ' ' | '-' | '+', line }]
+ */
+function diffLines(a, b) {
+  let prefix = 0;
+  while (prefix < a.length && prefix < b.length && a[prefix] === b[prefix]) prefix++;
+  let suffix = 0;
+  while (suffix < a.length - prefix && suffix < b.length - prefix &&
+    a[a.length - 1 - suffix] === b[b.length - 1 - suffix]) suffix++;
+
+  const midA = a.slice(prefix, a.length - suffix);
+  const midB = b.slice(prefix, b.length - suffix);
+  const n = midA.length;
+  const m = midB.length;
+
+  // Longest common subsequence table, (n + 1) x (m + 1)
+  const lcs = new Uint32Array((n + 1) * (m + 1));
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      lcs[i * (m + 1) + j] = midA[i] === midB[j]
+        ? lcs[(i + 1) * (m + 1) + j + 1] + 1
+        : Math.max(lcs[(i + 1) * (m + 1) + j], lcs[i * (m + 1) + j + 1]);
+    }
+  }
+
+  const ops = a.slice(0, prefix).map(line => ({ type: ' ', line }));
+  let i = 0;
+  let j = 0;
+  while (i < n || j < m) {
+    if (i < n && j < m && midA[i] === midB[j]) {
+      ops.push({ type: ' ', line: midA[i++] });
+      j++;
+    } else if (i < n && (j === m || lcs[(i + 1) * (m + 1) + j] >= lcs[i * (m + 1) + j + 1])) {
+      ops.push({ type: '-', line: midA[i++] });
+    } else {
+      ops.push({ type: '+', line: midB[j++] });
+    }
+  }
+  ops.push(...a.slice(a.length - suffix).map(line => ({ type: ' ', line })));
+
+  return ops;
+}
+
+/**
+ * Unified diff of two texts ('' if they are equal)
+ */
+function createUnifiedDiff(oldText, newText, oldName, newName = oldName) {
+  if (oldText === newText) return '';
+
+  const ops = diffLines(oldText.split('\n'), newText.split('\n'));
+  const output = [`--- ${oldName}`, `+++ ${newName}`];
+
+  // Group changes closer than 2 * context lines into one hunk
+  const changed = ops.map((op, index) => (op.type === ' ' ? -1 : index)).filter(index => index !== -1);
+  const hunks = [];
+  for (const index of changed) {
+    const last = hunks[hunks.length - 1];
+    if (last && index - last.end <= DIFF_CONTEXT * 2) {
+      last.end = index;
+    } else {
+      hunks.push({ start: index, end: index });
+    }
+  }
+
+  for (const hunk of hunks) {
+    const from = Math.max(0, hunk.start - DIFF_CONTEXT);
+    const to = Math.min(ops.length - 1, hunk.end + DIFF_CONTEXT);
+
+    // Line numbers where the hunk starts in the old and new text
+    let oldLine = 1;
+    let newLine = 1;
+    for (const op of ops.slice(0, from)) {
+      if (op.type !== '+') oldLine++;
+      if (op.type !== '-') newLine++;
+    }
+
+    const lines = ops.slice(from, to + 1);
+    const oldCount = lines.filter(op => op.type !== '+').length;
+    const newCount = lines.filter(op => op.type !== '-').length;
+    output.push(`@@ -${oldCount === 0 ? oldLine - 1 : oldLine},${oldCount} +${newCount === 0 ? newLine - 1 : newLine},${newCount} @@`);
+    output.push(...lines.map(op => `${op.type}${op.line}`));
+  }
+
+  return output.join('\n');
+}
+
+export {
+  localizeUrl,
+  fixTarget,
+  createUnifiedDiff
+};
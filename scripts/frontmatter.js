@@ -0,0 +1,215 @@
+/**
+ * YAML frontmatter comparison.
+ *
+ * Frontmatter is parsed with js-yaml and compared by path (`title`,
+ * `sidebar.label`, `tags[1]`): every source path must exist in the target
+ * with the same kind of value, and top-level keys should keep their order.
+ *
+ * Per-key rules come from .i18n/config.yaml:
+ *
+ *   frontmatter:
+ *     preserve: [slug, id, sidebar_position, tags]   # values stay identical
+ *     translate: [title, description, summary]       # values must be translated
+ *
+ * A rule applies to the key and everything nested under it. The lists above
+ * are the defaults; setting a list replaces its default. The key the sync
+ * tooling writes into targets (`sync_state.frontmatter_key`, see
+ * sync-state.js) is ignored.
+ */
+
+import yaml from 'js-yaml';
+import { issueAt } from './findings.js';
+
+const DEFAULT_PRESERVE_KEYS = ['slug', 'id', 'sidebar_position', 'tags'];
+const DEFAULT_TRANSLATE_KEYS = ['title', 'description', 'summary'];
+
+/**
+ * Read the frontmatter rules from the project config
+ */
+function getFrontmatterRules(config = {}) {
+  const frontmatter = config.frontmatter || {};
+  return {
+    preserve: [].concat(frontmatter.preserve ?? DEFAULT_PRESERVE_KEYS).map(String),
+    translate: [].concat(frontmatter.translate ?? DEFAULT_TRANSLATE_KEYS).map(String),
+    ignore: config.sync_state?.frontmatter_key ? [String(config.sync_state.frontmatter_key)] : []
+  };
+}
+
+/**
+ * Parse the YAML frontmatter of a document
+ *
+ * Returns { data, line, keyLines } (data is {} without frontmatter, keyLines
+ * maps top-level keys to their line), or { error, line, column } if the YAML
+ * is invalid (the error's location when known, else the frontmatter's).
+ */
+function parseFrontmatter(tree) {
+  const node = tree.children.find(n => n.type === 'yaml');
+  if (!node) return { data: {}, line: null, keyLines: new Map() };
+
+  const line = node.position?.start.line;
+  const keyLines = new Map();
+  node.value.split('\n').forEach((text, index) => {
+    const match = text.match(/^([^\s#][^:]*?)\s*:/);
+    if (match && !keyLines.has(match[1])) keyLines.set(match[1], line + 1 + index);
+  });
+
+  try {
+    const data = yaml.load(node.value);
+    if (data === null || data === undefined) return { data: {}, line, keyLines };
+    if (typeof data !== 'object' || Array.isArray(data)) {
+      return { error: 'frontmatter is not a key/value mapping', line, column: 1 };
+    }
+    return { data, line, keyLines };
+  } catch (err) {
+    return err.mark
+      ? { error: err.reason || err.message, line: line + 1 + err.mark.line, column: err.mark.column + 1 }
+      : { error: err.reason || err.message, line, column: 1 };
+  }
+}
+
+/**
+ * Kind of a YAML value: mapping, list, or scalar type
+ */
+function kindOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'list';
+  if (value instanceof Date) return 'date';
+  return typeof value === 'object' ? 'mapping' : typeof value;
+}
+
+/**
+ * Flatten frontmatter into Map<path, value> with an entry for every mapping,
+ * list and scalar (`sidebar`, `sidebar.label`, `tags`, `tags[0]`)
+ */
+function flattenFrontmatter(data, prefix = '', paths = new Map()) {
+  const entries = Array.isArray(data)
+    ? data.map((value, index) => [`${prefix}[${index}]`, value])
+    : Object.entries(data).map(([key, value]) => [prefix ? `${prefix}.${key}` : key, value]);
+
+  for (const [keyPath, value] of entries) {
+    paths.set(keyPath, value);
+    const kind = kindOf(value);
+    if (kind === 'mapping' || kind === 'list') {
+      flattenFrontmatter(value, keyPath, paths);
+    }
+  }
+
+  return paths;
+}
+
+/**
+ * Check whether a path is a rule key or nested under one
+ */
+function matchesKey(keyPath, keys) {
+  return keys.some(key => keyPath === key || keyPath.startsWith(`${key}.`) || keyPath.startsWith(`${key}[`));
+}
+
+/**
+ * Check whether an extra target path is nested under another extra path
+ */
+function isNestedExtra(keyPath, srcPaths) {
+  const parent = keyPath.replace(/(?:\.[^.[\]]+|\[\d+\])$/, '');
+  return parent !== keyPath && parent !== '' && !srcPaths.has(parent);
+}
+
+/**
+ * Compact rendering of a value for messages
+ */
+function formatValue(value) {
+  return kindOf(value) === 'date' ? value.toISOString().slice(0, 10) : JSON.stringify(value);
+}
+
+/**
+ * Compare source and target frontmatter
+ *
+ * Returns { errors, warnings } as { message, line, column }, located at the
+ * target key (its top-level key for nested paths) or the frontmatter block:
+ *   - invalid YAML, missing paths, changed value kinds (error)
+ *   - preserve keys whose value changed (error)
+ *   - translate keys left identical to the source (error)
+ *   - extra paths and reordered top-level keys (warning)
+ */
+function validateFrontmatter(sourceTree, targetTree, rules = getFrontmatterRules()) {
+  const errors = [];
+  const warnings = [];
+
+  const src = parseFrontmatter(sourceTree);
+  const tgt = parseFrontmatter(targetTree);
+  if (src.error || tgt.error) {
+    if (src.error) errors.push(`Invalid frontmatter in source (line ${src.line}): ${src.error}`);
+    if (tgt.error) errors.push(issueAt(tgt, `Invalid frontmatter in target (line ${tgt.line}): ${tgt.error}`));
+    return { errors, warnings };
+  }
+
+  const block = { line: tgt.line, column: 1 };
+  const keyAt = keyPath => {
+    const line = tgt.keyLines.get(keyPath.split(/[.[]/)[0]);
+    return line ? { line, column: 1 } : block;
+  };
+
+  const ignore = rules.ignore || [];
+  const withoutIgnored = paths => new Map([...paths].filter(([keyPath]) => !matchesKey(keyPath, ignore)));
+  const srcPaths = withoutIgnored(flattenFrontmatter(src.data));
+  const tgtPaths = withoutIgnored(flattenFrontmatter(tgt.data));
+  const missing = [];
+
+  for (const [keyPath, srcValue] of srcPaths) {
+    if (matchesKey(keyPath, rules.preserve)) {
+      // Preserved values are compared as a whole
+      if (!rules.preserve.includes(keyPath)) continue;
+      if (!tgtPaths.has(keyPath)) {
+        missing.push(keyPath);
+      } else if (formatValue(srcValue) !== formatValue(tgtPaths.get(keyPath))) {
+        errors.push(issueAt(keyAt(keyPath), `Frontmatter ${keyPath} must not change: source=${formatValue(srcValue)}, target=${formatValue(tgtPaths.get(keyPath))}`));
+      }
+      continue;
+    }
+
+    if (!tgtPaths.has(keyPath)) {
+      // Report the outermost missing path only
+      if (!missing.some(m => matchesKey(keyPath, [m]))) missing.push(keyPath);
+      continue;
+    }
+
+    const tgtValue = tgtPaths.get(keyPath);
+    const srcKind = kindOf(srcValue);
+    const tgtKind = kindOf(tgtValue);
+    const isLeaf = srcKind !== 'mapping' && srcKind !== 'list';
+
+    if (srcKind !== tgtKind) {
+      errors.push(issueAt(keyAt(keyPath), `Frontmatter ${keyPath} changed type: source=${srcKind}, target=${tgtKind}`));
+    } else if (isLeaf && matchesKey(keyPath, rules.translate) && srcKind === 'string' && /\p{L}/u.test(srcValue)) {
+      if (srcValue.trim() === tgtValue.trim()) {
+        errors.push(issueAt(keyAt(keyPath), `Frontmatter ${keyPath} was not translated: ${formatValue(tgtValue)}`));
+      }
+    }
+  }
+
+  if (missing.length > 0) {
+    errors.push(issueAt(block, `Missing frontmatter keys: ${missing.join(', ')}`));
+  }
+
+  // Report the outermost extra path only; preserved values are already compared
+  const extra = [...tgtPaths.keys()].filter(keyPath =>
+    !srcPaths.has(keyPath) && !isNestedExtra(keyPath, srcPaths) && !matchesKey(keyPath, rules.preserve));
+  if (extra.length > 0) {
+    warnings.push(issueAt(keyAt(extra[0]), `Extra frontmatter keys: ${extra.join(', ')}`));
+  }
+
+  const srcOrder = Object.keys(src.data).filter(key => key in tgt.data && !ignore.includes(key));
+  const tgtOrder = Object.keys(tgt.data).filter(key => key in src.data && !ignore.includes(key));
+  if (srcOrder.join('\n') !== tgtOrder.join('\n')) {
+    warnings.push(issueAt(block, `Frontmatter key order differs: source=${srcOrder.join(', ')}, target=${tgtOrder.join(', ')}`));
+  }
+
+  return { errors, warnings };
+}
+
+export {
+  DEFAULT_PRESERVE_KEYS,
+  DEFAULT_TRANSLATE_KEYS,
+  getFrontmatterRules,
+  parseFrontmatter,
+  flattenFrontmatter,
+  validateFrontmatter
+};
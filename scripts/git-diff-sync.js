@@ -3,48 +3,89 @@
  * Create a detailed sync plan based on Git diff with operation types.
  *
  * Usage:
- *   node git-diff-sync.js <source_file> <target_file> [git_ref]
+ *   node git-diff-sync.js <source_file> [target_file] [--ref <git_ref>] [--config <file>] [--dry-run]
+ *   node git-diff-sync.js <source_dir> [target_dir] [--ref <git_ref>]
+ *   node git-diff-sync.js [--ref <git_ref>]      # source_dir → target_dir from the config
+ *
+ * When target_file / target_dir is omitted, it is derived from `source_dir` /
+ * `target_dir` in the project config (.i18n/config.yaml, see config.js).
  *
  * Compares the current working tree version of source_file with a git
- * reference (default: HEAD) to detect changes, then creates a detailed
- * execution plan with operation types (add/delete/modify/format).
+ * reference to detect changes, then creates a detailed execution plan with
+ * operation types (add/delete/modify/format).
+ *
+ * Without --ref, each file is compared with the source commit its target was
+ * last translated from: the target's frontmatter key configured as
+ * `sync_state.frontmatter_key`, else its entry in .i18n/sync-state.yaml (both
+ * written by update-plan.js, see sync-state.js). Files without a recorded or
+ * known commit are compared with HEAD.
+ *
+ * Directory mode lists every markdown file under source_dir that was added,
+ * modified, deleted or renamed since the reference (untracked files count as
+ * added) and writes one plan with a `files` entry per changed file, each with
+ * its own hunks and affected sections. Renames come from git's rename
+ * detection, or from line similarity for added/deleted pairs git does not
+ * pair up (see renames.js); their entries get `action: move`.
  *
  * Examples:
- *   # Compare with HEAD (last commit)
+ *   # Compare with the commit the translation was made from (or HEAD)
  *   node git-diff-sync.js docs/en/guide.md docs/zh/guide.md
  *
  *   # Compare with specific commit
- *   node git-diff-sync.js docs/en/guide.md docs/zh/guide.md HEAD~1
+ *   node git-diff-sync.js docs/en/guide.md docs/zh/guide.md --ref HEAD~1
+ *
+ *   # Everything that changed under docs/en since a release
+ *   node git-diff-sync.js docs/en docs/zh --ref v1.4.0
  */
 
-import { exec } from 'child_process';
+import { execFile } from 'child_process';
 import { promisify } from 'util';
 import fs from 'fs/promises';
 import path from 'path';
-import yaml from 'js-yaml';
 import { fileURLToPath } from 'url';
-
-const execAsync = promisify(exec);
+import { loadConfig, mapSourceToTarget, getSourceDir, getTargetDir } from './config.js';
+import { dumpPlan, writePlanFile } from './plan.js';
+import { extractSections } from './markdown.js';
+import { alignSections, findSectionIndex } from './sections.js';
+import { lineSimilarity, matchRenames } from './renames.js';
+import { createUnifiedDiff } from './fix.js';
+import { getDefaultStatePath, loadSyncState, getFrontmatterCommitKey, getBaselineCommit, isCommitSha } from './sync-state.js';
+import { parseArgs, isMainModule, runMain, EXIT_OK, EXIT_USAGE } from './cli-args.js';
+
+const execFileAsync = promisify(execFile);
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 /**
  * Execute git command and return output
+ *
+ * args is an argument list; git runs without a shell, so refs and paths are
+ * never interpreted.
  */
 async function gitExec(args, cwd = process.cwd()) {
   try {
-    const { stdout, stderr } = await execAsync(`git ${args}`, { cwd });
+    const { stdout, stderr } = await execFileAsync('git', args, { cwd, maxBuffer: 64 * 1024 * 1024 });
     return { stdout: stdout.trim(), stderr: stderr.trim() };
   } catch (error) {
-    throw new Error(`Git command failed: git ${args}\n${error.message}`);
+    throw new Error(`Git command failed: git ${args.join(' ')}\n${error.message}`);
+  }
+}
+
+/**
+ * Reject git references that git would read as an option
+ */
+function checkGitRef(gitRef) {
+  if (typeof gitRef !== 'string' || gitRef === '' || gitRef.startsWith('-')) {
+    throw new Error(`Invalid git reference: ${gitRef}`);
   }
+  return gitRef;
 }
 
 /**
  * Get current HEAD commit hash
  */
 async function getCurrentCommit(cwd = process.cwd()) {
-  const { stdout } = await gitExec('rev-parse HEAD', cwd);
+  const { stdout } = await gitExec(['rev-parse', 'HEAD'], cwd);
   return stdout;
 }
 
@@ -52,7 +93,7 @@ async function getCurrentCommit(cwd = process.cwd()) {
  * Resolve git reference to commit hash
  */
 async function resolveGitRef(gitRef, cwd = process.cwd()) {
-  const { stdout } = await gitExec(`rev-parse ${gitRef}`, cwd);
+  const { stdout } = await gitExec(['rev-parse', checkGitRef(gitRef)], cwd);
   return stdout;
 }
 
@@ -60,7 +101,7 @@ async function resolveGitRef(gitRef, cwd = process.cwd()) {
  * Get git diff for a file with full context
  */
 async function getGitDiff(filePath, gitRef = 'HEAD', cwd = process.cwd()) {
-  const { stdout } = await gitExec(`diff ${gitRef} -- "${filePath}"`, cwd);
+  const { stdout } = await gitExec(['diff', checkGitRef(gitRef), '--', filePath], cwd);
   return stdout;
 }
 
@@ -93,6 +134,8 @@ function parseGitDiffDetailed(diffOutput) {
         deleted_lines: [],
         added_lines: [],
         context_lines: [],
+        leading_context: 0,
+        trailing_context: 0,
         header: line
       };
       inHunk = true;
@@ -104,12 +147,19 @@ function parseGitDiffDetailed(diffOutput) {
       if (line.startsWith('-')) {
         // Deleted line
         currentHunk.deleted_lines.push(line.substring(1));
+        currentHunk.trailing_context = 0;
       } else if (line.startsWith('+')) {
         // Added line
         currentHunk.added_lines.push(line.substring(1));
+        currentHunk.trailing_context = 0;
       } else if (line.startsWith(' ')) {
-        // Context line (unchanged)
+        // Context line (unchanged), before or after the changed lines
         currentHunk.context_lines.push(line.substring(1));
+        if (currentHunk.deleted_lines.length + currentHunk.added_lines.length === 0) {
+          currentHunk.leading_context++;
+        } else {
+          currentHunk.trailing_context++;
+        }
       } else if (line === '\\ No newline at end of file') {
         // Special marker, ignore but continue
         continue;
@@ -130,7 +180,7 @@ function parseGitDiffDetailed(diffOutput) {
   }
 
   // Analyze operation type for each hunk
-  return hunks.map(hunk => analyzeHunkOperation(hunk));
+  return hunks.map((hunk, index) => ({ ...analyzeHunkOperation(hunk), hunk_index: index }));
 }
 
 /**
@@ -191,58 +241,66 @@ function checkWhitespaceOnlyChanges(hunk) {
  * Get file content at specific git reference
  */
 async function getFileAtRef(filePath, gitRef, cwd = process.cwd()) {
-  const { stdout } = await gitExec(`show ${gitRef}:"${filePath}"`, cwd);
+  const { stdout } = await gitExec(['show', `${checkGitRef(gitRef)}:${filePath}`], cwd);
   return stdout;
 }
 
 /**
- * Read file content
+ * File content at a git reference, or null if it did not exist there
  */
-async function readFile(filePath) {
+async function readFileAtRef(filePath, gitRef, cwd = process.cwd()) {
   try {
-    return await fs.readFile(filePath, 'utf-8');
+    // Untrimmed, so line counts match the working tree version
+    const { stdout } = await execFileAsync('git', ['show', `${checkGitRef(gitRef)}:./${filePath}`], { cwd, maxBuffer: 64 * 1024 * 1024 });
+    return stdout;
   } catch {
     return null;
   }
 }
 
 /**
- * Parse markdown into sections
+ * Diff of a source file since a git reference
+ *
+ * previous is the file's path at the reference if it was renamed. Renames
+ * git does not pair up (detectedBy 'similarity') are diffed from the old
+ * file's content with createUnifiedDiff.
  */
-function parseMarkdownSections(content) {
-  const lines = content.split('\n');
-  const sections = [];
-  let currentSection = { title: '(untitled)', start: 0, level: 0 };
-
-  for (let i = 0; i < lines.length; i++) {
-    const line = lines[i];
-    const headingMatch = line.match(/^(#{1,6})\s+(.+)$/);
-
-    if (headingMatch) {
-      // Save previous section
-      if (currentSection.start < i) {
-        currentSection.end = i - 1;
-        currentSection.content = lines.slice(currentSection.start, i).join('\n');
-        sections.push({ ...currentSection });
-      }
-
-      // Start new section
-      currentSection = {
-        title: headingMatch[2],
-        start: i,
-        level: headingMatch[1].length
-      };
-    }
+async function getSourceDiff(file, gitRef = 'HEAD', { previous = null, detectedBy = null, cwd = process.cwd() } = {}) {
+  if (detectedBy === 'similarity') {
+    const previousContent = await getFileAtRef(`./${previous}`, gitRef, cwd);
+    const content = (await readFile(path.resolve(cwd, file))) || '';
+    return createUnifiedDiff(previousContent.trimEnd(), content.trimEnd(), `a/${previous}`, `b/${file}`);
   }
 
-  // Add last section
-  if (currentSection.start < lines.length) {
-    currentSection.end = lines.length - 1;
-    currentSection.content = lines.slice(currentSection.start).join('\n');
-    sections.push(currentSection);
+  const paths = previous ? [previous, file] : [file];
+  const { stdout } = await gitExec(['diff', '-M', checkGitRef(gitRef), '--', ...paths], cwd);
+  return stdout;
+}
+
+/**
+ * Read file content
+ */
+async function readFile(filePath) {
+  try {
+    return await fs.readFile(filePath, 'utf-8');
+  } catch {
+    return null;
   }
+}
 
-  return sections;
+/**
+ * Parse markdown into sections
+ *
+ * Returns [{ title, start, end, level, content }] with 0-based line indices.
+ */
+function parseMarkdownSections(content, options = {}) {
+  return extractSections(content, options).map(section => ({
+    title: section.title ?? '(untitled)',
+    start: section.start,
+    end: section.end,
+    level: section.level,
+    content: section.content
+  }));
 }
 
 /**
@@ -254,19 +312,21 @@ function findAffectedSections(hunks, sections) {
   for (const hunk of hunks) {
     // Skip if hunk doesn't have required properties
     if (!hunk || typeof hunk.new_start === 'undefined') {
-      console.error('Invalid hunk:', hunk);
       continue;
     }
 
-    for (const section of sections) {
-      // Check if hunk overlaps with section
-      if (hunk.new_start >= section.start && hunk.new_start <= section.end + 1) {
-        if (!affected.has(section.title)) {
-          affected.set(section.title, []);
-        }
-        affected.get(section.title).push(hunk);
-        break;
+    // The section of the first changed line, not of the leading context
+    const line = hunk.leading_context === undefined
+      ? hunk.new_start
+      : hunk.added_lines.length === 0
+        ? Math.max(1, hunk.new_start + hunk.leading_context - 1)
+        : hunk.new_start + hunk.leading_context;
+    const section = sections[findSectionIndex(sections, line)];
+    if (section) {
+      if (!affected.has(section.title)) {
+        affected.set(section.title, []);
       }
+      affected.get(section.title).push(hunk);
     }
   }
 
@@ -286,6 +346,277 @@ function findAffectedSections(hunks, sections) {
   });
 }
 
+/**
+ * Lines of the old file a hunk changes, as [first, last] (1-based)
+ *
+ * Pure additions give the line they are inserted after (line 1 at the start
+ * of the file).
+ */
+function getOldLineRange(hunk) {
+  if (hunk.deleted_lines.length === 0) {
+    const line = hunk.old_count === 0 ? hunk.old_start : hunk.old_start + hunk.leading_context - 1;
+    return [Math.max(1, line), Math.max(1, line)];
+  }
+  const first = hunk.old_start + hunk.leading_context;
+  return [first, Math.max(first, hunk.old_start + hunk.old_count - 1 - hunk.trailing_context)];
+}
+
+/**
+ * Sections of the target a set of hunks has to be applied to
+ *
+ * alignment pairs the old source with the target (see sections.js); hunks
+ * are located by their old line numbers. Returns [{ source_title, title,
+ * level, anchor, matched_by, line_range, start_line, end_line, text }] in
+ * target order. A source section without a counterpart gives
+ * { source_title, matched_by: null, insert_after_line }, the last line of
+ * the nearest preceding matched target section (0 if none).
+ */
+function findTargetSections(hunks, alignment) {
+  const indices = new Set();
+  for (const hunk of hunks) {
+    const [first, last] = getOldLineRange(hunk);
+    const from = findSectionIndex(alignment.source, first);
+    const to = findSectionIndex(alignment.source, last);
+    if (from === -1) continue;
+    for (let i = from; i <= (to === -1 ? from : to); i++) indices.add(i);
+  }
+
+  return [...indices].sort((a, b) => a - b).map(index => {
+    const { source, target, matched_by: matchedBy } = alignment.pairs[index];
+    const sourceTitle = source.title ?? '(untitled)';
+    if (!target) {
+      const previous = alignment.pairs.slice(0, index).reverse().find(pair => pair.target);
+      return { source_title: sourceTitle, matched_by: null, insert_after_line: previous ? previous.target.end + 1 : 0 };
+    }
+    return {
+      source_title: sourceTitle,
+      title: target.title ?? '(untitled)',
+      level: target.level,
+      anchor: target.anchor,
+      matched_by: matchedBy,
+      line_range: `Lines ${target.start + 1}-${target.end + 1}`,
+      start_line: target.start + 1,
+      end_line: target.end + 1,
+      text: target.content
+    };
+  });
+}
+
+/**
+ * Hunks and affected sections of a file's diff
+ *
+ * content is the current file content the sections are taken from. With
+ * previousContent (the source at the compared ref) and targetContent (its
+ * translation), each affected section also lists its target sections
+ * (see findTargetSections).
+ */
+function analyzeFileDiff(diffOutput, content, filePath, { previousContent = null, targetContent = null } = {}) {
+  const hunks = parseGitDiffDetailed(diffOutput);
+  const sections = parseMarkdownSections(content, { filePath });
+  const affectedSections = findAffectedSections(hunks, sections);
+
+  if (previousContent !== null && targetContent !== null) {
+    const alignment = alignSections(previousContent, targetContent, { filePath });
+    for (const section of affectedSections) {
+      section.target_sections = findTargetSections(section.hunks, alignment);
+    }
+  }
+
+  return { hunks, affectedSections };
+}
+
+/**
+ * Plan entries for hunks
+ */
+function formatChanges(hunks) {
+  return hunks.map(hunk => ({
+    hunk_index: hunk.hunk_index,
+    operation: hunk.operation,
+    description: hunk.description,
+    line_range: hunk.line_range,
+    old_start: hunk.old_start,
+    old_count: hunk.old_count,
+    new_start: hunk.new_start,
+    new_count: hunk.new_count,
+    deleted_lines: hunk.deleted_lines,
+    added_lines: hunk.added_lines,
+    context_lines: hunk.context_lines,
+    header: hunk.header
+  }));
+}
+
+/**
+ * Plan entries for affected sections
+ */
+function formatAffectedSections(affectedSections) {
+  return affectedSections.map(section => ({
+    section_title: section.section_title,
+    operation_types: section.operation_types,
+    total_changes: section.total_changes,
+    hunks: section.hunks.map(h => ({
+      hunk_index: h.hunk_index,
+      operation: h.operation,
+      description: h.description
+    })),
+    ...(section.target_sections ? { target_sections: section.target_sections } : {})
+  }));
+}
+
+/**
+ * Check whether a path is a markdown / MDX file
+ */
+function isMarkdownFile(filePath) {
+  return /\.mdx?$/i.test(filePath);
+}
+
+/**
+ * List the markdown files under a directory that changed since a git reference
+ *
+ * Compares the working tree with gitRef using git's rename detection;
+ * untracked files count as added. Returns [{ status, file, previous }]
+ * sorted by file, with paths relative to cwd. status is 'added', 'modified',
+ * 'deleted' or 'renamed' (previous is the old path of renamed files).
+ */
+async function getChangedFiles(dir, gitRef = 'HEAD', cwd = process.cwd()) {
+  const { stdout: topLevel } = await gitExec(['rev-parse', '--show-toplevel'], cwd);
+  const fromTop = file => path.relative(cwd, path.join(topLevel, file));
+  const changes = [];
+
+  // Tokens: status, path (and the new path for renames/copies), NUL separated
+  const { stdout: diff } = await gitExec(['diff', '--name-status', '-z', '-M', checkGitRef(gitRef), '--', dir], cwd);
+  const tokens = diff.split('\0').filter(Boolean);
+  for (let i = 0; i < tokens.length;) {
+    const code = tokens[i++][0];
+    if (code === 'R' || code === 'C') {
+      const previous = fromTop(tokens[i++]);
+      const file = fromTop(tokens[i++]);
+      // A copy keeps its original, so the copy itself is new
+      changes.push(code === 'R' ? { status: 'renamed', file, previous } : { status: 'added', file, previous: null });
+    } else {
+      const file = fromTop(tokens[i++]);
+      const status = code === 'A' ? 'added' : code === 'D' ? 'deleted' : 'modified';
+      changes.push({ status, file, previous: null });
+    }
+  }
+
+  const { stdout: untracked } = await gitExec(['ls-files', '--others', '--exclude-standard', '-z', '--', dir], cwd);
+  for (const file of untracked.split('\0').filter(Boolean)) {
+    changes.push({ status: 'added', file: path.normalize(file), previous: null });
+  }
+
+  return changes
+    .filter(change => isMarkdownFile(change.file))
+    .map(change => (change.status === 'renamed' ? { ...change, detected_by: 'git' } : change))
+    .sort((a, b) => a.file.localeCompare(b.file));
+}
+
+/**
+ * Turn deleted + added pairs with similar content into renames
+ *
+ * Catches moves git does not pair up: unstaged moves (the new file is
+ * untracked) and moves with too many edits for git's rename threshold.
+ * The deleted file is read at gitRef.
+ */
+async function findSimilarRenames(changes, gitRef = 'HEAD', cwd = process.cwd()) {
+  const deleted = changes.filter(c => c.status === 'deleted').map(c => c.file);
+  const added = changes.filter(c => c.status === 'added').map(c => c.file);
+  if (deleted.length === 0 || added.length === 0) return changes;
+
+  const matches = await matchRenames(deleted, added, async (from, to) => lineSimilarity(
+    await getFileAtRef(`./${from}`, gitRef, cwd),
+    (await readFile(path.resolve(cwd, to))) || ''
+  ));
+  if (matches.length === 0) return changes;
+
+  const from = new Set(matches.map(m => m.from));
+  const to = new Map(matches.map(m => [m.to, m]));
+  return changes
+    .filter(c => !(c.status === 'deleted' && from.has(c.file)))
+    .map(c => {
+      const match = c.status === 'added' && to.get(c.file);
+      return match
+        ? { status: 'renamed', file: c.file, previous: match.from, detected_by: 'similarity', similarity: match.similarity }
+        : c;
+    });
+}
+
+/**
+ * Commit a target file was last translated from, if git knows it
+ *
+ * Options: state (loaded sync state), frontmatterKey, cwd, log. Returns
+ * { commit, from } as getBaselineCommit, or null without a usable baseline
+ * (a commit missing from the repository is reported through log).
+ */
+async function resolveBaseline(targetFile, { state = null, frontmatterKey = null, cwd = process.cwd(), log = () => {} } = {}) {
+  const baseline = await getBaselineCommit(state || { files: {} }, targetFile, frontmatterKey);
+  if (!baseline) return null;
+  if (!isCommitSha(baseline.commit)) {
+    log(`  ⚠️  Baseline commit of ${targetFile} (${baseline.from}) is not a commit SHA, using HEAD`);
+    return null;
+  }
+
+  try {
+    await gitExec(['rev-parse', '--verify', '--quiet', `${baseline.commit}^{commit}`], cwd);
+    return baseline;
+  } catch {
+    log(`  ⚠️  Baseline commit ${baseline.commit} of ${targetFile} (${baseline.from}) not found, using HEAD`);
+    return null;
+  }
+}
+
+/**
+ * Changed files of a directory, each compared with its own baseline
+ *
+ * Files whose target records the commit it was translated from (see
+ * sync-state.js) are diffed from that commit, all others from HEAD; the
+ * owner of a rename or deletion is the previous file's target. Source files
+ * without a target are listed as added. Returns the changes as
+ * getChangedFiles, each with its `ref` and `baseline` ('frontmatter',
+ * 'sync-state' or null for HEAD).
+ */
+async function getBaselineChanges(sourceDir, targetDir, options = {}) {
+  const { cwd = process.cwd() } = options;
+  const toTarget = file => path.join(targetDir, path.relative(sourceDir, file));
+  const listFiles = async dir => {
+    const { stdout } = await gitExec(['ls-files', '--cached', '--others', '--exclude-standard', '-z', '--', dir], cwd);
+    return stdout.split('\0').filter(Boolean).map(file => path.normalize(file)).filter(isMarkdownFile);
+  };
+
+  const targets = await listFiles(targetDir);
+  const baselines = new Map();
+  for (const target of targets) {
+    const baseline = await resolveBaseline(target, options);
+    if (baseline) baselines.set(target, baseline);
+  }
+
+  // One diff per distinct baseline commit; each file is kept from its own
+  const refs = ['HEAD', ...new Set([...baselines.values()].map(b => b.commit))];
+  const changes = [];
+  for (const ref of refs) {
+    const refChanges = await findSimilarRenames(await getChangedFiles(sourceDir, ref, cwd), ref, cwd);
+    for (const change of refChanges) {
+      const baseline = baselines.get(toTarget(change.previous || change.file)) || null;
+      if ((baseline?.commit || 'HEAD') === ref) {
+        changes.push({ ...change, ref, baseline: baseline?.from || null });
+      }
+    }
+  }
+
+  // A file moved since its baseline is also new since HEAD
+  const moved = new Set(changes.filter(c => c.status === 'renamed').map(c => c.file));
+  const listed = new Set(changes.map(c => c.file));
+  const existing = new Set(targets);
+  for (const file of await listFiles(sourceDir)) {
+    if (!listed.has(file) && !existing.has(toTarget(file))) {
+      changes.push({ status: 'added', file, previous: null, ref: 'HEAD', baseline: null });
+    }
+  }
+
+  return changes
+    .filter(c => !(c.status === 'added' && moved.has(c.file)))
+    .sort((a, b) => a.file.localeCompare(b.file));
+}
+
 /**
  * Detect installation type
  */
@@ -363,36 +694,39 @@ function generateExecutionInstructions(plan) {
 
 /**
  * Create git diff sync plan with detailed operations
+ *
+ * Options:
+ *   cwd:      working directory for git commands (default: process.cwd())
+ *   log:      progress callback (default: silent)
+ *   baseline: where gitRef was read from ('frontmatter' or 'sync-state'),
+ *             recorded in the plan's meta
+ *
+ * Returns the plan object; use writePlan() to save it.
  */
-async function createGitDiffSyncPlan(sourceFile, targetFile, gitRef, outputPath, cwd = process.cwd()) {
-  console.log(`Analyzing Git changes...`);
-  console.log(`  Source file: ${sourceFile}`);
-  console.log(`  Target file: ${targetFile}`);
-  console.log(`  Git reference: ${gitRef}`);
-  console.log(`  Working directory: ${cwd}`);
+async function createGitDiffSyncPlan(sourceFile, targetFile, gitRef = 'HEAD', { cwd = process.cwd(), log = () => {}, baseline = null } = {}) {
 
   // Check if we're in a git repository
   try {
-    await gitExec('rev-parse --git-dir', cwd);
+    await gitExec(['rev-parse', '--git-dir'], cwd);
   } catch {
     throw new Error('Not in a Git repository. Please run this command from within a Git repository.');
   }
 
   // Get commit hashes for diff viewing
-  console.log(`\nResolving commit hashes...`);
+  log(`\nResolving commit hashes...`);
   const sourceCommit = await getCurrentCommit(cwd);
   const targetCommit = await resolveGitRef(gitRef, cwd);
-  console.log(`  Source commit: ${sourceCommit}`);
-  console.log(`  Target commit: ${targetCommit}`);
-  console.log(`  View diff: git diff ${targetCommit} ${sourceCommit} -- ${sourceFile}`);
+  log(`  Source commit: ${sourceCommit}`);
+  log(`  Target commit: ${targetCommit}`);
+  log(`  View diff: git diff ${targetCommit} ${sourceCommit} -- ${sourceFile}`);
 
   // Get git diff
-  console.log(`\nGetting Git diff...`);
+  log(`\nGetting Git diff...`);
   const diffOutput = await getGitDiff(sourceFile, gitRef, cwd);
 
   if (!diffOutput) {
-    console.log(`✓ No changes detected in ${sourceFile} compared to ${gitRef}`);
-    console.log(`  File is up to date.`);
+    log(`✓ No changes detected in ${sourceFile} compared to ${gitRef}`);
+    log(`  File is up to date.`);
 
     // Create empty plan indicating no changes
     const plan = {
@@ -401,6 +735,7 @@ async function createGitDiffSyncPlan(sourceFile, targetFile, gitRef, outputPath,
         source_file: sourceFile,
         target_file: targetFile,
         git_ref: gitRef,
+        ...(baseline ? { baseline } : {}),
         source_commit: sourceCommit,
         target_commit: targetCommit,
         type: 'git-diff-sync',
@@ -416,40 +751,38 @@ async function createGitDiffSyncPlan(sourceFile, targetFile, gitRef, outputPath,
       execution: null
     };
 
-    await writePlan(plan, outputPath);
-    return;
+    return plan;
   }
 
-  // Parse diff with detailed operation information
-  console.log(`  Parsing diff with operation types...`);
-  const hunks = parseGitDiffDetailed(diffOutput);
-  console.log(`  Found ${hunks.length} change hunk(s)`);
-
   // Get current content
   const newContent = await readFile(sourceFile);
   if (!newContent) {
     throw new Error(`Source file not found: ${sourceFile}`);
   }
 
-  // Parse sections from new content
-  const sections = parseMarkdownSections(newContent);
+  // Check if target file exists
+  const targetContent = await readFile(targetFile);
+  const targetExists = !!targetContent;
 
-  // Find affected sections with their hunks
-  const affectedSections = findAffectedSections(hunks, sections);
+  // Parse diff with detailed operation information, the sections it touches
+  // and their counterparts in the target
+  log(`  Parsing diff with operation types...`);
+  const { hunks, affectedSections } = analyzeFileDiff(diffOutput, newContent, sourceFile, {
+    previousContent: await readFileAtRef(sourceFile, gitRef, cwd),
+    targetContent
+  });
+  log(`  Found ${hunks.length} change hunk(s)`);
 
-  console.log(`\n✓ Changes detected in ${affectedSections.length} section(s):`);
+  log(`\n✓ Changes detected in ${affectedSections.length} section(s):`);
   affectedSections.forEach(section => {
     const ops = section.operation_types.join(', ');
-    console.log(`  - ${section.section_title} (${ops})`);
+    const targets = (section.target_sections || []).filter(t => t.title).map(t => `${t.title} (${t.line_range})`);
+    log(`  - ${section.section_title} (${ops})${targets.length > 0 ? ` → ${targets.join(', ')}` : ''}`);
   });
 
-  // Check if target file exists
-  const targetContent = await readFile(targetFile);
-  const targetExists = !!targetContent;
-
   if (!targetExists) {
-    console.log(`\n⚠️  Warning: Target file does not exist: ${targetFile}`);
-    console.log(`   Full translation will be needed.`);
+    log(`\n⚠️  Warning: Target file does not exist: ${targetFile}`);
+    log(`   Full translation will be needed.`);
   }
 
   // Create execution instructions
@@ -462,6 +795,7 @@ async function createGitDiffSyncPlan(sourceFile, targetFile, gitRef, outputPath,
       source_file: sourceFile,
       target_file: targetFile,
       git_ref: gitRef,
+      ...(baseline ? { baseline } : {}),
       source_commit: sourceCommit,
       target_commit: targetCommit,
       type: 'git-diff-sync',
@@ -475,54 +809,182 @@ async function createGitDiffSyncPlan(sourceFile, targetFile, gitRef, outputPath,
       target_exists: targetExists,
       operations: execution.operation_summary
     },
-    changes: hunks.map((hunk, index) => ({
-      hunk_index: index,
-      operation: hunk.operation,
-      description: hunk.description,
-      line_range: hunk.line_range,
-      old_start: hunk.old_start,
-      old_count: hunk.old_count,
-      new_start: hunk.new_start,
-      new_count: hunk.new_count,
-      deleted_lines: hunk.deleted_lines,
-      added_lines: hunk.added_lines,
-      context_lines: hunk.context_lines,
-      header: hunk.header
-    })),
-    affected_sections: affectedSections.map(section => ({
-      section_title: section.section_title,
-      operation_types: section.operation_types,
-      total_changes: section.total_changes,
-      hunks: section.hunks.map(h => ({
-        hunk_index: h.hunk_index,
-        operation: h.operation,
-        description: h.description
-      }))
-    })),
+    changes: formatChanges(hunks),
+    affected_sections: formatAffectedSections(affectedSections),
     execution
   };
 
-  await writePlan(plan, outputPath);
+  return plan;
 }
 
 /**
- * Write plan to file
+ * Create one git diff sync plan for every changed file of a directory
+ *
+ * Options: as for createGitDiffSyncPlan, plus
+ *   state:          loaded sync state (see sync-state.js)
+ *   frontmatterKey: frontmatter key of the baseline commit in target files
+ *
+ * With gitRef null, each file is compared with its own baseline (see
+ * getBaselineChanges) and its entry records `git_ref` and `baseline`.
+ *
+ * Returns the plan object; its `files` list has one entry per added,
+ * modified, deleted or renamed source file (see getChangedFiles).
  */
-async function writePlan(plan, outputPath) {
-  const outputDir = path.dirname(outputPath);
-  await fs.mkdir(outputDir, { recursive: true });
+async function createGitDirectorySyncPlan(sourceDir, targetDir, gitRef = 'HEAD', options = {}) {
+  const { cwd = process.cwd(), log = () => {} } = options;
+  try {
+    await gitExec(['rev-parse', '--git-dir'], cwd);
+  } catch {
+    throw new Error('Not in a Git repository. Please run this command from within a Git repository.');
+  }
 
-  const yamlContent = yaml.dump(plan, {
-    indent: 2,
-    lineWidth: -1,
-    noRefs: true
-  });
+  log(`\nResolving commit hashes...`);
+  const sourceCommit = await getCurrentCommit(cwd);
+  const targetCommit = gitRef ? await resolveGitRef(gitRef, cwd) : null;
+  log(`  Source commit: ${sourceCommit}`);
+  log(`  Target commit: ${targetCommit || 'per file (recorded baselines)'}`);
+
+  log(`\nListing changed files under ${sourceDir}...`);
+  const changedFiles = gitRef
+    ? await findSimilarRenames(await getChangedFiles(sourceDir, gitRef, cwd), gitRef, cwd)
+    : await getBaselineChanges(sourceDir, targetDir, options);
+  const toTarget = file => path.join(targetDir, path.relative(sourceDir, file));
+
+  const files = [];
+  const allHunks = [];
+  const summary = { added: 0, modified: 0, deleted: 0, renamed: 0 };
+
+  for (const change of changedFiles) {
+    const { status, file, previous, detected_by: detectedBy, similarity } = change;
+    const ref = change.ref || gitRef;
+    const target = toTarget(file);
+    const targetExists = (await readFile(path.resolve(cwd, target))) !== null;
+    const baseline = gitRef ? {} : { git_ref: ref, baseline: change.baseline };
+    summary[status]++;
+
+    if (status === 'deleted') {
+      files.push({
+        source: file,
+        target,
+        change: status,
+        status: targetExists ? 'deleted' : 'done',
+        notes: 'DELETED: 源文件已删除，目标文件应删除',
+        target_exists: targetExists,
+        ...baseline
+      });
+      log(`  - DELETED: ${file}`);
+      continue;
+    }
+
+    if (status === 'added') {
+      files.push({
+        source: file,
+        target,
+        change: status,
+        status: 'pending',
+        notes: 'ADDED: 新增文件，需要完整翻译',
+        target_exists: targetExists,
+        ...baseline
+      });
+      log(`  + ADDED: ${file}`);
+      continue;
+    }
+
+    // Modified or renamed: translate the hunks into the existing target
+    const content = await readFile(path.resolve(cwd, file));
+    if (content === null) {
+      throw new Error(`Source file not found: ${file}`);
+    }
+    const previousContent = await readFileAtRef(previous || file, ref, cwd);
+    const diffOutput = await getSourceDiff(file, ref, { previous, detectedBy, cwd });
+    // A renamed file's translation is still at the previous target
+    const targetContent = await readFile(path.resolve(cwd, targetExists || !previous ? target : toTarget(previous)));
+    const { hunks, affectedSections } = analyzeFileDiff(diffOutput, content, file, { previousContent, targetContent });
+    allHunks.push(...hunks);
+
+    const entry = {
+      source: file,
+      target,
+      change: status,
+      status: 'needs_update',
+      notes: status === 'renamed'
+        ? `RENAMED: 源文件由 ${previous} 移动${hunks.length > 0 ? '并修改' : ''}，移动目标文件并保留翻译${hunks.length > 0 ? '，再按 changes 同步' : ''}`
+        : 'MODIFIED: 源文件已修改，按 changes 同步翻译',
+      target_exists: targetExists,
+      ...baseline
+    };
+    if (previous) {
+      entry.action = 'move';
+      entry.previous_source = previous;
+      entry.previous_target = toTarget(previous);
+      entry.detected_by = detectedBy;
+      if (similarity !== undefined) entry.similarity = similarity;
+    }
+    entry.total_hunks = hunks.length;
+    entry.changes = formatChanges(hunks);
+    entry.affected_sections = formatAffectedSections(affectedSections);
+    files.push(entry);
+
+    log(`  ${status === 'renamed' ? '> RENAMED' : '* MODIFIED'}: ${previous ? `${previous} → ` : ''}${file} (${hunks.length} hunk(s))`);
+  }
+
+  if (files.length === 0) {
+    log(`✓ No changes detected under ${sourceDir} compared to ${gitRef || 'the recorded baselines'}`);
+  }
+
+  const execution = generateExecutionInstructions({ changes: allHunks });
+  execution.steps = [
+    '1. Process files by change type:',
+    '   - ADDED: Translate the whole source file into the target',
+    '   - MODIFIED: Apply each file\'s hunks as for a single-file plan',
+    '   - RENAMED (action: move): Move previous_target to target (git mv), keeping its translation, then apply its hunks',
+    '   - DELETED: Remove the target file',
+    '2. Preserve code blocks, URLs, and technical terms',
+    `3. Run validation: node scripts/validate.js --dir ${sourceDir} ${targetDir}`
+  ];
+
+  return {
+    meta: {
+      created: new Date().toISOString(),
+      source_dir: sourceDir,
+      target_dir: targetDir,
+      git_ref: gitRef || 'baseline',
+      source_commit: sourceCommit,
+      target_commit: targetCommit,
+      type: 'git-diff-sync',
+      mode: 'directory',
+      format_version: '2.0',
+      status: files.some(f => f.status !== 'done') ? 'pending' : 'completed'
+    },
+    summary: {
+      has_changes: files.length > 0,
+      files: files.length,
+      ...summary,
+      total_hunks: allHunks.length,
+      operations: execution.operation_summary
+    },
+    files,
+    execution: files.length > 0 ? execution : null
+  };
+}
 
-  await fs.writeFile(outputPath, yamlContent, 'utf-8');
+/**
+ * Write plan to file (or print it on --dry-run)
+ */
+async function writePlan(plan, outputPath, dryRun = false) {
+  const yamlContent = dumpPlan(plan);
+
+  if (dryRun) {
+    console.log(`\n${yamlContent}`);
+  } else {
+    await writePlanFile(plan, outputPath);
 
-  console.log(`\n✓ Sync plan created: ${outputPath}`);
+    console.log(`\n✓ Sync plan created: ${outputPath}`);
+  }
 
-  if (plan.summary.has_changes) {
+  if (plan.meta.mode === 'directory') {
+    printDirectorySummary(plan);
+  } else if (plan.summary.has_changes) {
     console.log(`\nOperation Summary:`);
     const ops = plan.summary.operations;
     if (ops.add > 0) console.log(`  ADD: ${ops.add} change(s) - translate and insert`);
@@ -544,54 +1006,123 @@ async function writePlan(plan, outputPath) {
   }
 }
 
+/**
+ * Print the summary and next steps of a directory plan
+ */
+function printDirectorySummary(plan) {
+  if (!plan.summary.has_changes) {
+    console.log(`\nNo action needed - ${plan.meta.source_dir} is up to date.`);
+    return;
+  }
+
+  const { added, modified, renamed, deleted, total_hunks: totalHunks } = plan.summary;
+  console.log(`\nFile Summary:`);
+  if (added > 0) console.log(`  ADDED: ${added} file(s) - translate in full`);
+  if (modified > 0) console.log(`  MODIFIED: ${modified} file(s) - ${totalHunks} hunk(s) to sync in total`);
+  if (renamed > 0) console.log(`  RENAMED: ${renamed} file(s) - move the target file, keep its translation`);
+  if (deleted > 0) console.log(`  DELETED: ${deleted} file(s) - remove from target`);
+
+  console.log(`\nNext steps:`);
+  console.log(`  1. Review the plan file; each entry of files lists its hunks and affected sections`);
+  if (plan.meta.target_commit) {
+    console.log(`  2. View diff: git diff ${plan.meta.target_commit} -- "${plan.meta.source_dir}"`);
+  } else {
+    console.log(`  2. View diff: git diff <git_ref> -- <source> (each entry records its git_ref)`);
+  }
+  console.log(`  3. Validate: node scripts/validate.js --dir "${plan.meta.source_dir}" "${plan.meta.target_dir}"`);
+}
+
+const OPTIONS = {
+  ref: { alias: 'r', type: 'string' },
+  output: { alias: 'o', type: 'string' },
+  config: { type: 'string' },
+  state: { type: 'string' },
+  'dry-run': { type: 'boolean' }
+};
+
+function printUsage() {
+  console.log('Usage: node git-diff-sync.js <source_file> [target_file] [options]');
+  console.log('       node git-diff-sync.js [source_dir] [target_dir] [options]');
+  console.log('');
+  console.log('Arguments:');
+  console.log('  source_file       Path to source file (e.g., docs/en/guide.md)');
+  console.log('  target_file       Path to target translation file (e.g., docs/zh/guide.md)');
+  console.log('                    (default: mapped via source_dir/target_dir in .i18n/config.yaml)');
+  console.log('  source_dir        Plan every changed markdown file under a directory');
+  console.log('  target_dir        Target directory (default: target_dir in .i18n/config.yaml)');
+  console.log('                    Without arguments, source_dir/target_dir come from the config');
+  console.log('');
+  console.log('Options:');
+  console.log('  --ref, -r     Git reference to compare with (default: each target\'s recorded');
+  console.log('                 baseline commit, or HEAD for targets without one)');
+  console.log('                 Examples: HEAD~1, main, origin/main, abc123');
+  console.log('  --output, -o   Custom output path (optional)');
+  console.log('  --config       Project config file (default: .i18n/config.yaml)');
+  console.log('  --state        Sync state to read baselines from (default: <output_dir>/sync-state.yaml)');
+  console.log('  --dry-run      Print plan to stdout instead of writing file');
+  console.log('  --help, -h     Show this help message');
+  console.log('');
+  console.log('Output location (default):');
+  console.log('  - Project skill:  <project_root>/.i18n/git-sync-plan.yaml');
+  console.log('  - Global skill:   <cwd>/.i18n/git-sync-plan.yaml');
+  console.log('');
+  console.log('Operation types detected:');
+  console.log('  ADD     - New lines added (needs translation)');
+  console.log('  DELETE  - Lines removed (needs deletion from target)');
+  console.log('  MODIFY  - Lines changed (needs delta translation)');
+  console.log('  FORMAT  - Whitespace/formatting only (no translation needed)');
+  console.log('');
+  console.log('Examples:');
+  console.log('  # Compare current file with the commit its translation was made from');
+  console.log('  node git-diff-sync.js docs/en/guide.md docs/zh/guide.md');
+  console.log('');
+  console.log('  # Compare with specific commit');
+  console.log('  node git-diff-sync.js docs/en/guide.md docs/zh/guide.md --ref HEAD~1');
+  console.log('');
+  console.log('  # One plan for all files changed under docs/en since a release');
+  console.log('  node git-diff-sync.js docs/en docs/zh --ref v1.4.0');
+}
+
+/**
+ * Check whether a path is an existing directory
+ */
+async function isDirectory(filePath) {
+  try {
+    return (await fs.stat(filePath)).isDirectory();
+  } catch {
+    return false;
+  }
+}
+
 /**
  * Main function
  */
 async function main() {
-  const args = process.argv.slice(2);
-  let sourceFile, targetFile, gitRef = 'HEAD', outputPath = null;
-
-  for (let i = 0; i < args.length; i++) {
-    if (args[i] === '--output' || args[i] === '-o') {
-      outputPath = args[++i];
-    } else if (args[i] === '--ref' || args[i] === '-r') {
-      gitRef = args[++i];
-    } else if (!sourceFile) {
-      sourceFile = args[i];
-    } else if (!targetFile) {
-      targetFile = args[i];
-    }
+  const { values, positionals, help } = parseArgs(process.argv.slice(2), OPTIONS);
+
+  if (help) {
+    printUsage();
+    return EXIT_OK;
+  }
+
+  const { ref, output: outputPath, config: configPath, state: statePath, dryRun } = values;
+  let [sourceFile, targetFile] = positionals;
+
+  // Without arguments, plan the configured source directory
+  const config = await loadConfig({ configPath });
+  if (!sourceFile) {
+    sourceFile = getSourceDir(config);
+  }
+  const isDir = !!sourceFile && await isDirectory(sourceFile);
+
+  // Derive the target file / directory from the project config if not given
+  if (sourceFile && !targetFile) {
+    targetFile = isDir ? getTargetDir(config) : mapSourceToTarget(config, sourceFile);
   }
 
   if (!sourceFile || !targetFile) {
-    console.log('Usage: node git-diff-sync.js <source_file> <target_file> [options]');
-    console.log('');
-    console.log('Arguments:');
-    console.log('  source_file       Path to source file (e.g., docs/en/guide.md)');
-    console.log('  target_file       Path to target translation file (e.g., docs/zh/guide.md)');
-    console.log('');
-    console.log('Options:');
-    console.log('  --ref, -r     Git reference to compare with (default: HEAD)');
-    console.log('                 Examples: HEAD~1, main, origin/main, abc123');
-    console.log('  --output, -o   Custom output path (optional)');
-    console.log('');
-    console.log('Output location (default):');
-    console.log('  - Project skill:  <project_root>/.i18n/git-sync-plan.yaml');
-    console.log('  - Global skill:   <cwd>/.i18n/git-sync-plan.yaml');
-    console.log('');
-    console.log('Operation types detected:');
-    console.log('  ADD     - New lines added (needs translation)');
-    console.log('  DELETE  - Lines removed (needs deletion from target)');
-    console.log('  MODIFY  - Lines changed (needs delta translation)');
-    console.log('  FORMAT  - Whitespace/formatting only (no translation needed)');
-    console.log('');
-    console.log('Examples:');
-    console.log('  # Compare current file with last commit');
-    console.log('  node git-diff-sync.js docs/en/guide.md docs/zh/guide.md');
-    console.log('');
-    console.log('  # Compare with specific commit');
-    console.log('  node git-diff-sync.js docs/en/guide.md docs/zh/guide.md --ref HEAD~1');
-    process.exit(1);
+    printUsage();
+    return EXIT_USAGE;
   }
 
   // Detect installation type
@@ -615,10 +1146,49 @@ async function main() {
 
   console.log(``);
 
-  await createGitDiffSyncPlan(sourceFile, targetFile, gitRef, finalOutputPath);
+  console.log(`Analyzing Git changes...`);
+  console.log(`  Source ${isDir ? 'directory' : 'file'}: ${sourceFile}`);
+  console.log(`  Target ${isDir ? 'directory' : 'file'}: ${targetFile}`);
+  console.log(`  Working directory: ${process.cwd()}`);
+
+  // Without --ref, compare from the commit each target was translated from
+  const baselineOptions = {
+    state: ref ? null : await loadSyncState(statePath || getDefaultStatePath(path.dirname(defaultOutputPath))),
+    frontmatterKey: getFrontmatterCommitKey(config),
+    log: console.log
+  };
+
+  let plan;
+  if (isDir) {
+    console.log(`  Git reference: ${ref || 'recorded baseline of each file (HEAD without one)'}`);
+    plan = await createGitDirectorySyncPlan(sourceFile, targetFile, ref || null, baselineOptions);
+  } else {
+    const baseline = ref ? null : await resolveBaseline(targetFile, baselineOptions);
+    const gitRef = ref || baseline?.commit || 'HEAD';
+    console.log(`  Git reference: ${gitRef}${baseline ? ` (baseline from ${baseline.from})` : ''}`);
+    plan = await createGitDiffSyncPlan(sourceFile, targetFile, gitRef, { log: console.log, baseline: baseline?.from });
+  }
+  await writePlan(plan, finalOutputPath, dryRun);
+}
+
+if (isMainModule(import.meta.url)) {
+  runMain(main);
 }
 
-main().catch(err => {
-  console.error('Error:', err.message);
-  process.exit(1);
-});
+export {
+  parseGitDiffDetailed,
+  analyzeHunkOperation,
+  parseMarkdownSections,
+  findAffectedSections,
+  findTargetSections,
+  generateExecutionInstructions,
+  getChangedFiles,
+  findSimilarRenames,
+  resolveBaseline,
+  getBaselineChanges,
+  readFileAtRef,
+  getSourceDiff,
+  createGitDiffSyncPlan,
+  createGitDirectorySyncPlan,
+  writePlan
+};
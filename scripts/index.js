@@ -0,0 +1,198 @@
+/**
+ * Programmatic API for skill-markdown-i18n.
+ *
+ * Every command line script is also usable as a library: the functions
+ * below return plain objects (plans, validation results) instead of printing
+ * or exiting, and throw on errors.
+ *
+ * Example:
+ *   import { loadConfig, createSyncPlan, validateFiles, writePlanFile } from 'skill-markdown-i18n';
+ *
+ *   const config = await loadConfig();
+ *   const plan = await createSyncPlan('docs/en', 'docs/zh', { statePath: '.i18n/sync-state.yaml' });
+ *   await writePlanFile(plan, '.i18n/sync-plan.yaml');
+ *
+ *   const result = await validateFiles('docs/en/guide.md', 'docs/zh/guide.md', 'en', 'zh', config);
+ *   if (!result.passed) console.error(result.errors);
+ */
+
+export {
+  DEFAULT_CONFIG,
+  findI18nDir,
+  loadConfig,
+  resolveConfigPath,
+  getSourceDir,
+  getTargetDir,
+  mapSourceToTarget,
+  getLinkPrefix
+} from './config.js';
+
+export {
+  STATE_FILE_NAME,
+  getFileHash,
+  getHeadCommit,
+  getDefaultStatePath,
+  loadSyncState,
+  saveSyncState,
+  getBaseline,
+  recordBaseline,
+  getFrontmatterCommitKey,
+  isCommitSha,
+  readFrontmatterCommit,
+  writeFrontmatterCommit,
+  getBaselineCommit
+} from './sync-state.js';
+
+export {
+  getPlanStatus,
+  isMultiLocalePlan,
+  summarizeMultiLocalePlan,
+  dumpPlan,
+  writePlanFile
+} from './plan.js';
+
+export {
+  findMarkdownFiles,
+  createPlan,
+  createMultiLocalePlan
+} from './create-plan.js';
+
+export { createSyncPlan } from './sync-plan.js';
+
+export { STATUS_VALUES, updatePlan } from './update-plan.js';
+
+export {
+  parseGitDiffDetailed,
+  analyzeHunkOperation,
+  parseMarkdownSections,
+  findAffectedSections,
+  generateExecutionInstructions,
+  findTargetSections,
+  getChangedFiles,
+  findSimilarRenames,
+  resolveBaseline,
+  getBaselineChanges,
+  readFileAtRef,
+  getSourceDiff,
+  createGitDiffSyncPlan,
+  createGitDirectorySyncPlan
+} from './git-diff-sync.js';
+
+export { parseDiffHunks, getChangeRuns, getLineShape, replaceLiterals, applyHunks } from './apply-hunks.js';
+
+export { applySyncPlan } from './apply-sync.js';
+
+export {
+  isMdxPath,
+  parseMarkdown,
+  visit,
+  toText,
+  extractFrontmatterKeys,
+  extractStructure,
+  extractSections
+} from './markdown.js';
+
+export {
+  BUILTIN_PRESERVE_PATTERNS,
+  compilePreservePatterns,
+  extractPreservedTokens,
+  validatePreservedTokens
+} from './preserve.js';
+
+export {
+  slugify,
+  getAnchors,
+  resolveDocLink,
+  validateFragmentLinks,
+  validateCrossFileFragments
+} from './anchors.js';
+
+export {
+  getRouteRules,
+  fileToRoute,
+  buildRouteMap,
+  resolveRoute,
+  validateInternalLinks
+} from './routes.js';
+
+export { editDistance, findOrphanTargets } from './orphans.js';
+
+export { getGitRenames, lineSimilarity, structureSimilarity, matchRenames } from './renames.js';
+
+export { getSections, alignSections, findSectionIndex } from './sections.js';
+
+export {
+  RULES,
+  DOCUMENT_RULES,
+  getRuleSettings,
+  findSuppressions,
+  applyRuleSettings,
+  issueAt,
+  toFindings,
+  summarizeFindings
+} from './findings.js';
+
+export {
+  toSarif,
+  toJUnit,
+  toGitHubAnnotations
+} from './report.js';
+
+export {
+  getTranslatableProps,
+  extractMdxStructure,
+  validateMdx
+} from './mdx.js';
+
+export {
+  getFrontmatterRules,
+  parseFrontmatter,
+  validateFrontmatter
+} from './frontmatter.js';
+
+export {
+  extractTables,
+  validateTables
+} from './tables.js';
+
+export {
+  getLocaleScript,
+  extractProseBlocks,
+  findUntranslatedBlocks
+} from './untranslated.js';
+
+export {
+  parseLocales,
+  validateLinkLocalization,
+  validatePair,
+  validateFiles,
+  validateDirectories,
+  fixFiles,
+  fixDirectories
+} from './validate.js';
+
+export {
+  fixTarget,
+  createUnifiedDiff
+} from './fix.js';
+
+export {
+  getDefaultCachePath as getDefaultValidationCachePath,
+  createCacheContext,
+  loadValidationCache,
+  saveValidationCache
+} from './validate-cache.js';
+
+export {
+  readConsistencyConfig,
+  getTermRules,
+  checkTermConsistency,
+  checkFiles as checkConsistencyFiles,
+  checkDirectories as checkConsistencyDirectories
+} from './check-consistency.js';
+
+export { getSectionMap, compareSections, generateDiff } from './diff-sections.js';
+
+export { readNoTranslateConfig, shouldNotTranslate, findNoTranslateViolations } from './read-no-translate.js';
+
+export { EXIT_OK, EXIT_FAILURE, EXIT_USAGE, UsageError } from './cli-args.js';
@@ -0,0 +1,279 @@
+/**
+ * Markdown parsing shared by validate.js, diff-sections.js and git-diff-sync.js.
+ *
+ * Content is parsed into an mdast syntax tree
+ * (https://github.com/syntax-tree/mdast) following CommonMark plus:
+ *   - GFM: tables, task lists, strikethrough, autolinks, footnotes
+ *   - YAML frontmatter
+ *   - MDX (JSX, import/export, {expressions}) for .mdx files
+ *
+ * so fenced/tilde/indented code, setext headings, reference links and ordered
+ * lists are handled the way a renderer sees them. A `# comment` inside a code
+ * block is code, not a heading.
+ *
+ * Line numbers in returned objects are 1-based (`line`); section `start` /
+ * `end` are 0-based line indices into content.split('\n').
+ */
+
+import yaml from 'js-yaml';
+import { fromMarkdown } from 'mdast-util-from-markdown';
+import { gfm } from 'micromark-extension-gfm';
+import { gfmFromMarkdown } from 'mdast-util-gfm';
+import { frontmatter } from 'micromark-extension-frontmatter';
+import { frontmatterFromMarkdown } from 'mdast-util-frontmatter';
+import { mdxjs } from 'micromark-extension-mdxjs';
+import { mdxFromMarkdown } from 'mdast-util-mdx';
+
+// `{#custom-id}` heading suffixes are not valid MDX expressions; they are
+// masked with same-length placeholders while parsing MDX and restored after
+const HEADING_ID_PATTERN = /^(#{1,6}[ \t].*?)\{(#[^{}\s]+)\}([ \t]*#*[ \t]*)$/gm;
+const ID_OPEN = '⦃';
+const ID_CLOSE = '⦄';
+
+/**
+ * Check whether a file should be parsed as MDX
+ */
+function isMdxPath(filePath) {
+  return typeof filePath === 'string' && filePath.toLowerCase().endsWith('.mdx');
+}
+
+/**
+ * Parse markdown content into an mdast tree.
+ *
+ * Options:
+ *   mdx:      parse MDX syntax (default: false)
+ *   filePath: enable MDX when the path ends in .mdx
+ *
+ * Throws if MDX content has a syntax error (message includes line:column,
+ * also set as the error's `line` and `column`).
+ */
+function parseMarkdown(content, { mdx = false, filePath = null } = {}) {
+  const useMdx = mdx || isMdxPath(filePath);
+  const extensions = [frontmatter(['yaml']), gfm()];
+  const mdastExtensions = [frontmatterFromMarkdown(['yaml']), gfmFromMarkdown()];
+
+  if (useMdx) {
+    extensions.push(mdxjs());
+    mdastExtensions.push(mdxFromMarkdown());
+  }
+
+  const source = useMdx
+    ? content.replace(HEADING_ID_PATTERN, `$1${ID_OPEN}$2${ID_CLOSE}$3`)
+    : content;
+
+  let tree;
+  try {
+    tree = fromMarkdown(source, { extensions, mdastExtensions });
+  } catch (err) {
+    const where = err.line ? ` at line ${err.line}:${err.column}` : '';
+    const error = new Error(`MDX syntax error${where}: ${err.reason || err.message}`);
+    error.line = err.line || null;
+    error.column = err.column || null;
+    throw error;
+  }
+
+  if (useMdx) {
+    visit(tree, 'heading', heading => {
+      visit(heading, 'text', node => {
+        node.value = node.value.replaceAll(ID_OPEN, '{').replaceAll(ID_CLOSE, '}');
+      });
+    });
+  }
+
+  return tree;
+}
+
+/**
+ * Call fn(node, parent) for every node (of the given type, if any), depth first
+ */
+function visit(node, type, fn, parent = null) {
+  if (!type || node.type === type) {
+    fn(node, parent);
+  }
+  for (const child of node.children || []) {
+    visit(child, type, fn, node);
+  }
+}
+
+/**
+ * Plain text of a node (formatting, link targets and markup dropped)
+ */
+function toText(node) {
+  if (node.type === 'text' || node.type === 'inlineCode') return node.value;
+  if (node.type === 'image') return node.alt || '';
+  return (node.children || []).map(toText).join('');
+}
+
+/**
+ * Source markdown of a heading's content, without `#` markers or setext underline
+ */
+function getHeadingSource(heading, content) {
+  const { children } = heading;
+  if (children.length === 0) return '';
+  return content
+    .slice(children[0].position.start.offset, children[children.length - 1].position.end.offset)
+    .trim();
+}
+
+/**
+ * Normalize a reference label the way CommonMark matches them
+ */
+function normalizeLabel(label) {
+  return label.replace(/[\t\n\r ]+/g, ' ').trim().toLowerCase();
+}
+
+/**
+ * Top-level keys of the YAML frontmatter
+ */
+function extractFrontmatterKeys(tree) {
+  const node = tree.children.find(n => n.type === 'yaml');
+  if (!node) return {};
+
+  const keys = {};
+  try {
+    const data = yaml.load(node.value);
+    if (data && typeof data === 'object' && !Array.isArray(data)) {
+      for (const key of Object.keys(data)) keys[key] = true;
+      return keys;
+    }
+  } catch {
+    // Invalid YAML: fall back to scanning unindented `key:` lines
+  }
+
+  for (const line of node.value.split('\n')) {
+    const match = line.match(/^([^\s#][^:]*):/);
+    if (match) keys[match[1].trim()] = true;
+  }
+  return keys;
+}
+
+/**
+ * Extract the structural elements compared between source and target
+ *
+ * Returns:
+ *   headings:    [{ depth, text, source, line, column }]
+ *   codeBlocks:  [{ lang, meta, value, line, column }]  fenced, tilde and indented
+ *   links:       [{ text, url, line, column }]          inline, reference and autolinks
+ *   images:      [{ alt, url, line, column }]
+ *   listItems:   [{ text, ordered, line, column }]      all levels
+ *   tables:      [{ rows, columns, align, line, column }]  align: left/right/center/null per column
+ *   frontmatter: { key: true }
+ */
+function extractStructure(content, options = {}) {
+  const tree = options.tree || parseMarkdown(content, options);
+  const definitions = new Map();
+  visit(tree, 'definition', node => {
+    const label = normalizeLabel(node.label || node.identifier);
+    if (!definitions.has(label)) definitions.set(label, node.url);
+  });
+
+  const structure = {
+    headings: [],
+    codeBlocks: [],
+    links: [],
+    images: [],
+    listItems: [],
+    tables: [],
+    frontmatter: extractFrontmatterKeys(tree)
+  };
+
+  visit(tree, null, (node, parent) => {
+    const line = node.position?.start.line;
+    const column = node.position?.start.column;
+
+    switch (node.type) {
+      case 'heading':
+        structure.headings.push({ depth: node.depth, text: toText(node), source: getHeadingSource(node, content), line, column });
+        break;
+      case 'code':
+        structure.codeBlocks.push({ lang: node.lang || '', meta: node.meta || '', value: node.value, line, column });
+        break;
+      case 'link':
+        structure.links.push({ text: toText(node), url: node.url, line, column });
+        break;
+      case 'linkReference': {
+        const url = definitions.get(normalizeLabel(node.label || node.identifier));
+        if (url !== undefined) structure.links.push({ text: toText(node), url, line, column });
+        break;
+      }
+      case 'image':
+        structure.images.push({ alt: node.alt || '', url: node.url, line, column });
+        break;
+      case 'imageReference': {
+        const url = definitions.get(normalizeLabel(node.label || node.identifier));
+        if (url !== undefined) structure.images.push({ alt: node.alt || '', url, line, column });
+        break;
+      }
+      case 'listItem':
+        structure.listItems.push({
+          // Nested lists are items of their own
+          text: node.children.filter(c => c.type !== 'list').map(toText).join(' '),
+          ordered: Boolean(parent?.ordered),
+          line,
+          column
+        });
+        break;
+      case 'table':
+        structure.tables.push({
+          rows: node.children.length,
+          columns: node.children[0]?.children.length || 0,
+          align: node.align || [],
+          line,
+          column
+        });
+        break;
+    }
+  });
+
+  return structure;
+}
+
+/**
+ * Split content into sections at top-level headings
+ *
+ * Returns [{ title, text, level, line, start, end, content }] in document
+ * order. Content before the first heading (frontmatter, intro) is a section
+ * with title null and level 0. title is the heading's markdown source.
+ */
+function extractSections(content, options = {}) {
+  const tree = options.tree || parseMarkdown(content, options);
+  const lines = content.split('\n');
+  const headings = tree.children.filter(n => n.type === 'heading');
+  const sections = [];
+
+  const firstStart = headings.length > 0 ? headings[0].position.start.line - 1 : lines.length;
+  if (firstStart > 0 || headings.length === 0) {
+    sections.push({ title: null, text: null, level: 0, line: 1, start: 0, end: Math.max(firstStart - 1, 0) });
+  }
+
+  headings.forEach((heading, index) => {
+    const start = heading.position.start.line - 1;
+    const next = headings[index + 1];
+    const end = next ? next.position.start.line - 2 : lines.length - 1;
+
+    sections.push({
+      title: getHeadingSource(heading, content),
+      text: toText(heading),
+      level: heading.depth,
+      line: start + 1,
+      start,
+      end
+    });
+  });
+
+  for (const section of sections) {
+    section.content = lines.slice(section.start, section.end + 1).join('\n');
+  }
+
+  return sections;
+}
+
+export {
+  isMdxPath,
+  parseMarkdown,
+  visit,
+  toText,
+  extractFrontmatterKeys,
+  extractStructure,
+  extractSections
+};
@@ -0,0 +1,229 @@
+/**
+ * MDX (JSX) structure comparison.
+ *
+ * In .mdx files, import/export statements, `{expressions}` and component
+ * tags are code: they must survive translation unchanged. Component props
+ * are compared per attribute:
+ *   - string props listed as translatable (title, label, ...) may change
+ *   - other string props (`groupId="os"`, `value="mac"`), boolean props,
+ *     `{expression}` props and `{...spread}` props must stay identical
+ *
+ * Components are compared in document order by name and by their enclosing
+ * components, so a tag moved out of its `<Tabs>` is reported as broken
+ * nesting. The translatable props are configurable in .i18n/config.yaml:
+ *
+ *   mdx:
+ *     translatable_props: [title, label, alt, description]
+ */
+
+import { issueAt } from './findings.js';
+
+const DEFAULT_TRANSLATABLE_PROPS = ['title', 'label', 'alt', 'description', 'placeholder', 'caption', 'aria-label'];
+
+const JSX_ELEMENT_TYPES = new Set(['mdxJsxFlowElement', 'mdxJsxTextElement']);
+const EXPRESSION_TYPES = new Set(['mdxFlowExpression', 'mdxTextExpression']);
+const COMMENT_PATTERN = /^\s*\/\*[\s\S]*?\*\/\s*$/;
+
+/**
+ * Read the translatable component props from the project config
+ */
+function getTranslatableProps(config = {}) {
+  return [].concat(config.mdx?.translatable_props ?? DEFAULT_TRANSLATABLE_PROPS).map(String);
+}
+
+/**
+ * Attribute of a JSX element as { name, kind, value }
+ *
+ * kind is 'string', 'boolean', 'expression' or 'spread'.
+ */
+function toAttribute(attr) {
+  if (attr.type === 'mdxJsxExpressionAttribute') {
+    return { name: `{${attr.value}}`, kind: 'spread', value: attr.value };
+  }
+  if (attr.value === null || attr.value === undefined) {
+    return { name: attr.name, kind: 'boolean', value: true };
+  }
+  if (typeof attr.value === 'string') {
+    return { name: attr.name, kind: 'string', value: attr.value };
+  }
+  return { name: attr.name, kind: 'expression', value: attr.value.value };
+}
+
+/**
+ * Extract the MDX parts of a parsed .mdx document
+ *
+ * Returns:
+ *   esm:         [{ value, line, column }]  import/export statements
+ *   expressions: [{ value, line, column }]  `{...}` in flow and text, comments left out
+ *   components:  [{ name, parents, attributes, line, column }] in document order;
+ *                name is '' for fragments, parents lists enclosing component names
+ */
+function extractMdxStructure(tree) {
+  const structure = { esm: [], expressions: [], components: [] };
+
+  const walk = (node, parents) => {
+    const line = node.position?.start.line;
+    const column = node.position?.start.column;
+
+    if (node.type === 'mdxjsEsm') {
+      // One node holds a block of consecutive statements
+      let statementLine = line;
+      for (const statement of node.value.split(/\n(?=(?:import|export)\b)/)) {
+        structure.esm.push({ value: statement.trim(), line: statementLine, column: statementLine === line ? column : 1 });
+        statementLine += statement.split('\n').length;
+      }
+    } else if (EXPRESSION_TYPES.has(node.type)) {
+      // `{/* comments */}` are not code
+      if (!COMMENT_PATTERN.test(node.value)) {
+        structure.expressions.push({ value: node.value.trim(), line, column });
+      }
+    } else if (JSX_ELEMENT_TYPES.has(node.type)) {
+      structure.components.push({
+        name: node.name || '',
+        parents,
+        attributes: (node.attributes || []).map(toAttribute),
+        line,
+        column
+      });
+      parents = [...parents, node.name || ''];
+    }
+
+    for (const child of node.children || []) {
+      walk(child, parents);
+    }
+  };
+  walk(tree, []);
+
+  return structure;
+}
+
+/**
+ * Tag as written in messages (`<Tabs>`, `<>`)
+ */
+function formatTag(name) {
+  return `<${name}>`;
+}
+
+/**
+ * Count values: Map<value, count>
+ */
+function countValues(values) {
+  const counts = new Map();
+  for (const value of values) counts.set(value, (counts.get(value) || 0) + 1);
+  return counts;
+}
+
+/**
+ * Report statements or expressions missing from, or added to, the target
+ */
+function compareCode(srcItems, tgtItems, label) {
+  const errors = [];
+  const srcCounts = countValues(srcItems.map(i => i.value));
+  const tgtCounts = countValues(tgtItems.map(i => i.value));
+
+  for (const [value, count] of srcCounts) {
+    if ((tgtCounts.get(value) || 0) < count) {
+      const line = srcItems.find(i => i.value === value).line;
+      errors.push(`MDX ${label} missing or changed in target: ${value} (source line ${line})`);
+    }
+  }
+  for (const [value, count] of tgtCounts) {
+    if (count > (srcCounts.get(value) || 0)) {
+      const item = tgtItems.find(i => i.value === value);
+      errors.push(issueAt(item, `MDX ${label} not in source: ${value} (target line ${item.line})`));
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Compare the props of a component and its counterpart
+ */
+function compareAttributes(src, tgt, translatableProps) {
+  const errors = [];
+  const tag = formatTag(src.name);
+  const tgtAttrs = new Map(tgt.attributes.map(a => [a.name, a]));
+
+  for (const attr of src.attributes) {
+    const counterpart = tgtAttrs.get(attr.name);
+    if (!counterpart) {
+      errors.push(issueAt(tgt, `MDX prop missing: ${tag} ${attr.kind === 'spread' ? attr.name : `"${attr.name}"`} (target line ${tgt.line})`));
+      continue;
+    }
+
+    const translatable = attr.kind === 'string' && counterpart.kind === 'string' && translatableProps.includes(attr.name);
+    if (!translatable && (counterpart.kind !== attr.kind || counterpart.value !== attr.value)) {
+      errors.push(issueAt(tgt, `MDX prop changed: ${tag} ${attr.name} should stay ${JSON.stringify(attr.value)}, found ${JSON.stringify(counterpart.value)} (target line ${tgt.line})`));
+    }
+  }
+
+  const srcNames = new Set(src.attributes.map(a => a.name));
+  for (const attr of tgt.attributes) {
+    if (!srcNames.has(attr.name)) {
+      errors.push(issueAt(tgt, `MDX prop not in source: ${tag} "${attr.name}" (target line ${tgt.line})`));
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Compare the MDX structure of source and target trees
+ *
+ * Returns errors for changed imports/exports and expressions, missing, extra
+ * or renamed components, broken nesting and changed props, as
+ * { message, line, column } at the target location, or plain messages for
+ * code and components missing from the target.
+ */
+function validateMdx(sourceTree, targetTree, translatableProps = DEFAULT_TRANSLATABLE_PROPS) {
+  const src = extractMdxStructure(sourceTree);
+  const tgt = extractMdxStructure(targetTree);
+  const errors = [
+    ...compareCode(src.esm, tgt.esm, 'import/export'),
+    ...compareCode(src.expressions, tgt.expressions, 'expression')
+  ];
+
+  if (src.components.length !== tgt.components.length) {
+    // Without a one-to-one match, report which components are missing or extra
+    const srcCounts = countValues(src.components.map(c => c.name));
+    const tgtCounts = countValues(tgt.components.map(c => c.name));
+    for (const name of new Set([...srcCounts.keys(), ...tgtCounts.keys()])) {
+      const srcCount = srcCounts.get(name) || 0;
+      const tgtCount = tgtCounts.get(name) || 0;
+      if (srcCount > tgtCount) {
+        errors.push(`MDX component missing in target: ${formatTag(name)} appears ${tgtCount} time(s), ${srcCount} in source`);
+      } else if (tgtCount > srcCount) {
+        const extra = tgt.components.filter(c => c.name === name)[srcCount];
+        errors.push(issueAt(extra, `MDX component not in source: ${formatTag(name)} appears ${tgtCount} time(s), ${srcCount} in source`));
+      }
+    }
+    return errors;
+  }
+
+  src.components.forEach((component, index) => {
+    const counterpart = tgt.components[index];
+
+    if (component.name !== counterpart.name) {
+      errors.push(issueAt(counterpart, `MDX component renamed: ${formatTag(component.name)} → ${formatTag(counterpart.name)} (target line ${counterpart.line})`));
+      return;
+    }
+
+    const srcParents = component.parents.map(formatTag).join(' > ');
+    const tgtParents = counterpart.parents.map(formatTag).join(' > ');
+    if (srcParents !== tgtParents) {
+      errors.push(issueAt(counterpart, `Broken JSX nesting: ${formatTag(component.name)} is inside ${tgtParents || 'the document root'} in target, ${srcParents || 'the document root'} in source (target line ${counterpart.line})`));
+    }
+
+    errors.push(...compareAttributes(component, counterpart, translatableProps));
+  });
+
+  return errors;
+}
+
+export {
+  DEFAULT_TRANSLATABLE_PROPS,
+  getTranslatableProps,
+  extractMdxStructure,
+  validateMdx
+};
@@ -0,0 +1,131 @@
+/**
+ * Target files without a source counterpart.
+ *
+ * validate.js --dir walks the source tree, so a target file is only ever
+ * looked at through its source. Files left in the target tree are reported
+ * here, classified by the most likely cause:
+ *
+ *   - case-only mismatch: `Guide.md` for source `guide.md`. Works on
+ *     case-insensitive file systems (macOS, Windows) but 404s on
+ *     case-sensitive hosts.
+ *   - near miss: a similar name of a source file that has no translation,
+ *     e.g. `get-started.md` for `getting-started.md`, or `.md` for `.mdx`.
+ *     Usually a renamed source or a typo in the target file name.
+ *   - orphan: no matching source at all, e.g. a page deleted from the source
+ *
+ * Names are compared without extension, by edit distance of the file name
+ * relative to the longer one; the minimum similarity for a near miss is
+ * configurable:
+ *
+ *   rules:
+ *     orphan-file: { similarity: 0.6 }
+ */
+
+const DEFAULT_SIMILARITY = 0.6;
+
+/**
+ * Path without its .md / .mdx extension
+ */
+function stripExtension(filePath) {
+  return filePath.replace(/\.mdx?$/, '');
+}
+
+/**
+ * Levenshtein distance between two strings
+ */
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+
+  return previous[b.length];
+}
+
+/**
+ * Similarity of two file paths between 0 and 1
+ *
+ * Compares the file names without extension; files in different directories
+ * score a quarter lower, so a same-directory match wins.
+ */
+function nameSimilarity(a, b) {
+  const split = filePath => {
+    const parts = stripExtension(filePath).split(/[\\/]/);
+    return { dir: parts.slice(0, -1).join('/'), name: parts[parts.length - 1].toLowerCase() };
+  };
+  const x = split(a);
+  const y = split(b);
+
+  const length = Math.max(x.name.length, y.name.length);
+  const similarity = length === 0 ? 1 : 1 - editDistance(x.name, y.name) / length;
+  return x.dir.toLowerCase() === y.dir.toLowerCase() ? similarity : similarity * 0.75;
+}
+
+/**
+ * Classify target files that have no source counterpart
+ *
+ * sourceFiles and targetFiles are paths relative to their tree roots. Returns
+ * [{ file, kind, source, similarity }] sorted by file, where kind is
+ * 'case-mismatch', 'near-miss' or 'orphan' and source the matching source
+ * file (null for orphans). Each source file is matched at most once.
+ */
+function findOrphanTargets(sourceFiles, targetFiles, { similarity: minSimilarity = DEFAULT_SIMILARITY } = {}) {
+  const sources = new Set(sourceFiles);
+  const targets = new Set(targetFiles);
+  const extra = targetFiles.filter(file => !sources.has(file));
+  const matched = new Set();
+  const orphans = [];
+
+  // Case-only mismatches first, they are certain
+  const byLowerCase = new Map(sourceFiles.map(file => [file.toLowerCase(), file]));
+  for (const file of extra) {
+    const source = byLowerCase.get(file.toLowerCase());
+    if (source && !matched.has(source)) {
+      matched.add(source);
+      orphans.push({ file, kind: 'case-mismatch', source, similarity: 1 });
+    }
+  }
+
+  // Candidates for near misses: untranslated source files
+  const untranslated = sourceFiles.filter(file => !targets.has(file) && !matched.has(file));
+  const pairs = [];
+  for (const file of extra) {
+    if (orphans.some(o => o.file === file)) continue;
+    for (const source of untranslated) {
+      const score = nameSimilarity(file, source);
+      if (score >= minSimilarity) pairs.push({ file, source, score });
+    }
+  }
+
+  // Best pairs first, each file and source used once
+  pairs.sort((a, b) => b.score - a.score || a.file.localeCompare(b.file));
+  for (const { file, source, score } of pairs) {
+    if (matched.has(source) || orphans.some(o => o.file === file)) continue;
+    matched.add(source);
+    orphans.push({ file, kind: 'near-miss', source, similarity: Math.round(score * 100) / 100 });
+  }
+
+  for (const file of extra) {
+    if (!orphans.some(o => o.file === file)) {
+      orphans.push({ file, kind: 'orphan', source: null, similarity: 0 });
+    }
+  }
+
+  return orphans.sort((a, b) => a.file.localeCompare(b.file));
+}
+
+export {
+  DEFAULT_SIMILARITY,
+  editDistance,
+  nameSimilarity,
+  findOrphanTargets
+};
@@ -0,0 +1,94 @@
+/**
+ * Helpers for reading and writing translation plan files.
+ *
+ * Two plan layouts exist:
+ *
+ *   Single locale (one target_dir): each file entry has its own
+ *   `target` / `status` / `notes`.
+ *
+ *   Multi locale (meta.target_locales): each file entry has a `locales`
+ *   map with one `target` / `status` / `notes` entry per locale, and the
+ *   summary is broken down per locale:
+ *
+ *     files:
+ *       - source: docs/en/guide.md
+ *         locales:
+ *           zh: { target: docs/zh/guide.md, status: done, notes: '' }
+ *           ja: { target: docs/ja/guide.md, status: pending, notes: '' }
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import yaml from 'js-yaml';
+
+/**
+ * Overall status from completed/total counts
+ */
+function getPlanStatus(completed, total) {
+  if (total > 0 && completed === total) return 'completed';
+  return completed > 0 ? 'in_progress' : 'not_started';
+}
+
+/**
+ * Check whether a plan tracks several target locales
+ */
+function isMultiLocalePlan(plan) {
+  return Array.isArray(plan?.meta?.target_locales) && (plan.files || []).every(f => f.locales);
+}
+
+/**
+ * Build the summary of a multi-locale plan
+ */
+function summarizeMultiLocalePlan(files, locales) {
+  const summary = {
+    total: 0,
+    completed: 0,
+    remaining: 0,
+    locales: {}
+  };
+
+  for (const locale of locales) {
+    const entries = files.map(f => f.locales[locale]).filter(Boolean);
+    const completed = entries.filter(e => e.status === 'done').length;
+
+    summary.locales[locale] = {
+      total: entries.length,
+      completed,
+      remaining: entries.length - completed,
+      status: getPlanStatus(completed, entries.length)
+    };
+
+    summary.total += entries.length;
+    summary.completed += completed;
+  }
+
+  summary.remaining = summary.total - summary.completed;
+  return summary;
+}
+
+/**
+ * Serialize a plan to YAML
+ */
+function dumpPlan(plan) {
+  return yaml.dump(plan, {
+    indent: 2,
+    lineWidth: -1,
+    noRefs: true
+  });
+}
+
+/**
+ * Write a plan to disk, creating its directory if needed
+ */
+async function writePlanFile(plan, outputPath) {
+  await fs.mkdir(path.dirname(outputPath), { recursive: true });
+  await fs.writeFile(outputPath, dumpPlan(plan), 'utf-8');
+}
+
+export {
+  getPlanStatus,
+  isMultiLocalePlan,
+  summarizeMultiLocalePlan,
+  dumpPlan,
+  writePlanFile
+};
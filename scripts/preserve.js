@@ -0,0 +1,159 @@
+/**
+ * Tokens that must survive translation unchanged.
+ *
+ * SKILL.md lists inline code, `{{placeholders}}` and `$ENVIRONMENT_VARS` as
+ * "Always Preserve". These are collected from source and target documents
+ * and compared as multisets, so a token that is lost, altered or duplicated
+ * in the target is reported.
+ *
+ * Placeholder and variable tokens are matched in prose only (text nodes);
+ * code blocks are compared separately and inline code as a whole span.
+ * Projects can add patterns through `preserve_patterns` in .i18n/config.yaml:
+ *
+ *   preserve_patterns:
+ *     - "%[a-z]+%"          # %placeholder%
+ *     - ":[a-z_]+:"         # :emoji_shortcode:
+ */
+
+import { visit } from './markdown.js';
+import { issueAt } from './findings.js';
+
+const BUILTIN_PRESERVE_PATTERNS = [
+  // {{variable_name}}, {{ user.name }}
+  '\\{\\{[^{}\\n]+?\\}\\}',
+  // ${VAR}, $ENVIRONMENT_VAR
+  '\\$\\{[A-Za-z_][A-Za-z0-9_]*\\}',
+  '\\$[A-Z_][A-Z0-9_]+\\b'
+];
+
+/**
+ * Compile preserve patterns (built-in first, then the project's)
+ *
+ * Throws if a configured pattern is not a valid regular expression.
+ */
+function compilePreservePatterns(extraPatterns = []) {
+  const sources = [...new Set([...BUILTIN_PRESERVE_PATTERNS, ...extraPatterns.map(String)])];
+
+  return sources.map(source => {
+    try {
+      return new RegExp(source, 'g');
+    } catch (err) {
+      throw new Error(`Invalid preserve_patterns entry "${source}": ${err.message}`);
+    }
+  });
+}
+
+/**
+ * Find pattern matches in a string, earlier patterns winning over later
+ * overlapping ones (so a greedy "{{.*}}" does not swallow two placeholders)
+ */
+function matchPatterns(value, patterns) {
+  const matches = [];
+
+  for (const pattern of patterns) {
+    pattern.lastIndex = 0;
+    for (const m of value.matchAll(pattern)) {
+      if (m[0] === '') continue;
+      const start = m.index;
+      const end = start + m[0].length;
+      if (matches.some(other => start < other.end && end > other.start)) continue;
+      matches.push({ value: m[0], start, end });
+    }
+  }
+
+  return matches.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Collect preserved tokens from a parsed document (see markdown.js)
+ *
+ * Returns { inlineCode: [{ value, line, column }], patterns: [{ value, line, column }] }
+ */
+function extractPreservedTokens(tree, patterns = compilePreservePatterns()) {
+  const tokens = { inlineCode: [], patterns: [] };
+
+  visit(tree, null, node => {
+    if (node.type === 'inlineCode') {
+      tokens.inlineCode.push({ value: node.value, line: node.position?.start.line, column: node.position?.start.column });
+    } else if (node.type === 'text') {
+      for (const match of matchPatterns(node.value, patterns)) {
+        const before = node.value.slice(0, match.start).split('\n');
+        const column = before.length === 1 ? node.position?.start.column + match.start : before[before.length - 1].length + 1;
+        tokens.patterns.push({ value: match.value, line: node.position?.start.line + before.length - 1, column });
+      }
+    }
+  });
+
+  return tokens;
+}
+
+/**
+ * Group tokens by value: Map<value, tokens[]>
+ */
+function groupTokens(tokens) {
+  const groups = new Map();
+  for (const token of tokens) {
+    if (!groups.has(token.value)) groups.set(token.value, []);
+    groups.get(token.value).push(token);
+  }
+  return groups;
+}
+
+/**
+ * Compare source and target tokens of one kind
+ *
+ * Returns errors for tokens that were lost, altered or duplicated, as
+ * { message, line, column } at a target occurrence, or a plain message for
+ * tokens lost from the target.
+ */
+function comparePreservedTokens(sourceTokens, targetTokens, label) {
+  const errors = [];
+  const src = groupTokens(sourceTokens);
+  const tgt = groupTokens(targetTokens);
+
+  for (const [value, srcTokens] of src) {
+    const tgtTokens = tgt.get(value) || [];
+
+    if (tgtTokens.length === 0) {
+      errors.push(`${label} lost in target: ${value} (source line ${srcTokens[0].line})`);
+    } else if (tgtTokens.length < srcTokens.length) {
+      errors.push(issueAt(tgtTokens[0], `${label} ${value} appears ${tgtTokens.length} time(s) in target, ${srcTokens.length} in source`));
+    } else if (tgtTokens.length > srcTokens.length) {
+      const lines = tgtTokens.map(t => t.line).join(', ');
+      errors.push(issueAt(tgtTokens[srcTokens.length], `${label} duplicated in target: ${value} appears ${tgtTokens.length} time(s), ${srcTokens.length} in source (target lines ${lines})`));
+    }
+  }
+
+  for (const [value, tgtTokens] of tgt) {
+    if (!src.has(value)) {
+      errors.push(issueAt(tgtTokens[0], `${label} not in source (altered?): ${value} (target line ${tgtTokens[0].line})`));
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Check that every preserved token in the source survives in the target
+ */
+function validatePreservedTokens(sourceTree, targetTree, extraPatterns = []) {
+  const patterns = compilePreservePatterns(extraPatterns);
+  const src = extractPreservedTokens(sourceTree, patterns);
+  const tgt = extractPreservedTokens(targetTree, patterns);
+
+  const format = tokens => tokens.map(t => ({ ...t, value: `\`${t.value}\`` }));
+
+  return [
+    ...comparePreservedTokens(format(src.inlineCode), format(tgt.inlineCode), 'Inline code'),
+    ...comparePreservedTokens(src.patterns, tgt.patterns, 'Placeholder')
+  ];
+}
+
+export {
+  BUILTIN_PRESERVE_PATTERNS,
+  compilePreservePatterns,
+  matchPatterns,
+  extractPreservedTokens,
+  comparePreservedTokens,
+  validatePreservedTokens
+};
@@ -3,56 +3,26 @@
  * Read no-translate configuration
  *
  * Usage:
- *   node read-no-translate.js [--project-dir <path>]
+ *   node read-no-translate.js [--project-dir <path>] [--config <file>] [--format json|text]
  *
  * Outputs the no-translate rules in JSON format
+ *
+ * validate.js uses findNoTranslateViolations() to check translations against
+ * these rules.
  */
 
 import fs from 'fs/promises';
 import path from 'path';
 import yaml from 'js-yaml';
 import { fileURLToPath } from 'url';
+import { findI18nDir, loadConfig } from './config.js';
+import { visit, extractStructure, extractSections } from './markdown.js';
+import { issueAt } from './findings.js';
+import { parseArgs, isMainModule, runMain, UsageError, EXIT_OK } from './cli-args.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-/**
- * Find .i18n directory
- */
-async function findI18nDir(startPath = process.cwd()) {
-  const currentPath = startPath;
-
-  // Check if .i18n exists in current directory
-  const i18nPath = path.join(currentPath, '.i18n');
-  try {
-    const stat = await fs.stat(i18nPath);
-    if (stat.isDirectory()) {
-      return i18nPath;
-    }
-  } catch {
-    // Not found, try parent directory
-  }
-
-  // Check in parent directories (project root)
-  const pathsToCheck = [
-    currentPath,
-  ];
-
-  for (const checkPath of pathsToCheck) {
-    const testPath = path.join(checkPath, '.i18n');
-    try {
-      const stat = await fs.stat(testPath);
-      if (stat.isDirectory()) {
-        return testPath;
-      }
-    } catch {
-      continue;
-    }
-  }
-
-  return null;
-}
-
 /**
  * Read no-translate configuration
  */
@@ -61,7 +31,14 @@ async function readNoTranslateConfig(i18nDir) {
 
   try {
     const content = await fs.readFile(configPath, 'utf-8');
-    return yaml.load(content);
+    const config = yaml.load(content) || {};
+    return {
+      ...config,
+      headings: config.headings || [],
+      terms: config.terms || [],
+      sections: config.sections || [],
+      urls: config.urls || []
+    };
   } catch {
     // Config file doesn't exist, return empty config
     return {
@@ -77,7 +54,7 @@ async function readNoTranslateConfig(i18nDir) {
  * Check if text should not be translated
  */
 function shouldNotTranslate(text, type, config) {
-  if (!config) return false;
+  if (!config) return { shouldSkip: false };
 
   text = text.trim();
 
@@ -118,34 +95,178 @@ function shouldNotTranslate(text, type, config) {
         }
       }
       break;
+
+    case 'url':
+      // Check URL patterns
+      for (const rule of config.urls || []) {
+        try {
+          if (rule.pattern && new RegExp(rule.pattern).test(text)) {
+            return { shouldSkip: true, reason: rule.reason };
+          }
+        } catch {
+          // Invalid regex, skip
+        }
+      }
+      break;
   }
 
   return { shouldSkip: false };
 }
 
+/**
+ * Heading text without a trailing `{#custom-id}`
+ */
+function stripHeadingId(text) {
+  return text.replace(/\s*\{#[^{}]+\}\s*$/, '');
+}
+
+/**
+ * Count occurrences of a term (case-insensitive), not counting matches inside
+ * longer words ("API" in "APIs" counts, in "RAPID" it doesn't)
+ */
+function countTerm(text, term) {
+  const escaped = term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return (text.match(new RegExp(`(?<![A-Za-z0-9_])${escaped}(?:e?s)?(?![A-Za-z0-9_])`, 'gi')) || []).length;
+}
+
+/**
+ * Prose text of a document (code and URLs excluded)
+ */
+function getProse(tree) {
+  const parts = [];
+  visit(tree, 'text', node => parts.push(node.value));
+  return parts.join('\n');
+}
+
+/**
+ * Check a translation against the no-translate rules
+ *
+ * source and target are { content, tree } with tree from markdown.js.
+ *
+ * Returns { errors, warnings }, as { message, line, column } where the target
+ * counterpart is known, else plain messages:
+ *   - protected headings that were translated (error)
+ *   - protected terms missing from the target (error) or with fewer
+ *     occurrences than in the source (warning)
+ *   - skipped sections not carried over verbatim (error)
+ *   - links matching a URL pattern whose URL was changed (error)
+ */
+function findNoTranslateViolations(source, target, config) {
+  const errors = [];
+  const warnings = [];
+  if (!config) return { errors, warnings };
+
+  const src = extractStructure(source.content, { tree: source.tree });
+  const tgt = extractStructure(target.content, { tree: target.tree });
+  const tgtHeadings = tgt.headings.map(h => stripHeadingId(h.text).trim());
+
+  // Headings
+  src.headings.forEach((heading, index) => {
+    const text = stripHeadingId(heading.text).trim();
+    const rule = shouldNotTranslate(text, 'heading', config);
+    if (!rule.shouldSkip) return;
+
+    // Compare by position when the heading structure matches
+    const counterpart = src.headings.length === tgt.headings.length ? tgt.headings[index] : null;
+    const kept = counterpart ? tgtHeadings[index] === text : tgtHeadings.includes(text);
+    if (!kept) {
+      const where = counterpart ? ` (target line ${counterpart.line}: "${tgtHeadings[index]}")` : '';
+      const message = `No-translate heading was translated: "${text}"${where} - ${rule.reason || 'no-translate rule'}`;
+      errors.push(counterpart ? issueAt(counterpart, message) : message);
+    }
+  });
+
+  // Terms
+  const srcProse = getProse(source.tree);
+  const tgtProse = getProse(target.tree);
+  for (const rule of config.terms || []) {
+    if (!rule.text) continue;
+    const srcCount = countTerm(srcProse, rule.text);
+    if (srcCount === 0) continue;
+
+    const tgtCount = countTerm(tgtProse, rule.text);
+    if (tgtCount === 0) {
+      errors.push(`No-translate term was translated: "${rule.text}" (${srcCount} time(s) in source, missing in target) - ${rule.reason || 'no-translate rule'}`);
+    } else if (tgtCount < srcCount) {
+      warnings.push(`No-translate term "${rule.text}" appears ${tgtCount} time(s) in target, ${srcCount} in source`);
+    }
+  }
+
+  // Sections are carried over verbatim
+  if ((config.sections || []).length > 0) {
+    const tgtSections = extractSections(target.content, { tree: target.tree });
+
+    for (const section of extractSections(source.content, { tree: source.tree })) {
+      if (section.text === null) continue;
+      const title = stripHeadingId(section.text).trim();
+      const rule = shouldNotTranslate(title, 'section', config);
+      if (!rule.shouldSkip) continue;
+
+      const counterpart = tgtSections.find(s => s.text !== null && stripHeadingId(s.text).trim() === title);
+      if (!counterpart) {
+        errors.push(`No-translate section missing or translated: "${title}" - ${rule.reason || 'no-translate rule'}`);
+      } else if (counterpart.content.trim() !== section.content.trim()) {
+        errors.push(issueAt(counterpart, `No-translate section was changed: "${title}" (target line ${counterpart.line}, should be copied verbatim)`));
+      }
+    }
+  }
+
+  // URLs
+  const tgtUrls = new Set(tgt.links.map(l => l.url));
+  src.links.forEach((link, index) => {
+    const rule = shouldNotTranslate(link.url, 'url', config);
+    if (rule.shouldSkip && !tgtUrls.has(link.url)) {
+      // Located at the counterpart link when the link structure matches
+      const counterpart = src.links.length === tgt.links.length ? tgt.links[index] : null;
+      const message = `No-translate URL was changed: "${link.url}" (source line ${link.line}) - ${rule.reason || 'no-translate rule'}`;
+      errors.push(counterpart ? issueAt(counterpart, message) : message);
+    }
+  });
+
+  return { errors, warnings };
+}
+
+const OPTIONS = {
+  'project-dir': { type: 'string', default: process.cwd() },
+  format: { type: 'string', default: 'json' },
+  config: { type: 'string' }
+};
+
+function printUsage() {
+  console.log('Usage: node read-no-translate.js [--project-dir <path>] [--config <file>] [--format json|text]');
+  console.log('');
+  console.log('Options:');
+  console.log('  --project-dir    Project root containing .i18n/ (default: current directory)');
+  console.log('  --config         Project config file (default: .i18n/config.yaml)');
+  console.log('  --format         Output format: json (default) or text');
+  console.log('  --help, -h       Show this help message');
+}
+
 /**
  * Main function
  */
 async function main() {
-  const args = process.argv.slice(2);
-  let projectDir = process.cwd();
-  let outputFormat = 'json';
-
-  for (let i = 0; i < args.length; i++) {
-    if (args[i] === '--project-dir') {
-      projectDir = args[++i];
-    } else if (args[i] === '--format') {
-      outputFormat = args[++i];
-    }
+  const { values, help } = parseArgs(process.argv.slice(2), OPTIONS);
+
+  if (help) {
+    printUsage();
+    return EXIT_OK;
   }
 
-  // Find .i18n directory
-  const i18nDir = await findI18nDir(projectDir);
+  const { projectDir, format: outputFormat, config: configPath } = values;
+
+  if (!['json', 'text'].includes(outputFormat)) {
+    throw new UsageError(`Invalid format: ${outputFormat} (expected json or text)`);
+  }
+
+  // Find .i18n directory (next to the project config, if there is one)
+  const projectConfig = await loadConfig({ cwd: path.resolve(projectDir), configPath });
+  const i18nDir = projectConfig.i18nDir;
 
   if (!i18nDir) {
     console.log('No .i18n directory found.');
     console.log('Create one at: <project_root>/.i18n/');
-    process.exit(0);
+    return EXIT_OK;
   }
 
   // Read configuration
@@ -194,10 +315,9 @@ async function main() {
   }
 }
 
-main().catch(err => {
-  console.error('Error:', err.message);
-  process.exit(1);
-});
+if (isMainModule(import.meta.url)) {
+  runMain(main);
+}
 
 // Export functions for use in other scripts
-export { findI18nDir, readNoTranslateConfig, shouldNotTranslate };
+export { findI18nDir, readNoTranslateConfig, shouldNotTranslate, countTerm, findNoTranslateViolations };
@@ -0,0 +1,197 @@
+/**
+ * Rename and move detection for sync plans.
+ *
+ * A source file moved from docs/en/setup.md to docs/en/install/setup.md would
+ * otherwise show up as one new and one deleted file. Renames are detected:
+ *
+ *   1. from git: renames committed under the source directory (followed
+ *      through chains like a → b → c) and renames staged in the index
+ *   2. by content similarity, for files git does not know about:
+ *        - lineSimilarity: two versions of the same document (same language)
+ *        - structureSimilarity: a source and a translation, compared by what
+ *          survives translation (code blocks, link and image URLs without
+ *          locale prefix, the sequence of heading levels, table shapes, list
+ *          sizes); documents with fewer than two of these are not compared
+ *
+ * Pairs are matched greedily, most similar first, and need a similarity of at
+ * least RENAME_THRESHOLD (0.5, like git's default). Files with the same name
+ * score 0.2 higher, since a move to another directory keeps the name.
+ */
+
+import path from 'path';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import { extractStructure } from './markdown.js';
+
+const execFileAsync = promisify(execFile);
+
+const RENAME_THRESHOLD = 0.5;
+const SAME_NAME_BONUS = 0.2;
+const MIN_STRUCTURE_TOKENS = 2;
+
+/**
+ * Run git and return stdout, or null if git fails (no repository, bad ref)
+ */
+async function git(args, cwd) {
+  try {
+    const { stdout } = await execFileAsync('git', args, { cwd, maxBuffer: 64 * 1024 * 1024 });
+    return stdout;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Renames from `git ... --name-status -z` output as [[from, to]]
+ */
+function parseRenames(output) {
+  const tokens = (output || '').split('\0').map(t => t.trim()).filter(Boolean);
+  const renames = [];
+  for (let i = 0; i < tokens.length; i++) {
+    if (/^R\d*$/.test(tokens[i]) && i + 2 < tokens.length) {
+      renames.push([tokens[i + 1], tokens[i + 2]]);
+      i += 2;
+    }
+  }
+  return renames;
+}
+
+/**
+ * Files renamed under a directory according to git
+ *
+ * Covers the history of the current branch (since ref, if given) and renames
+ * staged in the index. Returns Map<old path, current path> with paths
+ * relative to cwd; empty outside a git repository.
+ */
+async function getGitRenames(dir, { cwd = process.cwd(), ref = null } = {}) {
+  const topLevel = (await git(['rev-parse', '--show-toplevel'], cwd))?.trim();
+  if (!topLevel) return new Map();
+
+  const range = ref ? [`${ref}..HEAD`] : [];
+  const history = await git(['log', '-M', '--diff-filter=R', '--name-status', '-z', '--format=', ...range, '--', dir], cwd);
+  const staged = await git(['diff', '--cached', '-M', '--diff-filter=R', '--name-status', '-z', '--', dir], cwd);
+
+  // git log lists the newest commit first
+  const renames = [...parseRenames(history).reverse(), ...parseRenames(staged)];
+  const fromTop = file => path.relative(cwd, path.join(topLevel, file));
+
+  const current = new Map();
+  for (const [from, to] of renames.map(pair => pair.map(fromTop))) {
+    for (const [original, latest] of current) {
+      if (latest === from) current.set(original, to);
+    }
+    if (!current.has(from)) current.set(from, to);
+  }
+  for (const [original, latest] of current) {
+    if (original === latest) current.delete(original);
+  }
+
+  return current;
+}
+
+/**
+ * Count the values of a list: Map<value, count>
+ */
+function countTokens(tokens) {
+  const counts = new Map();
+  for (const token of tokens) counts.set(token, (counts.get(token) || 0) + 1);
+  return counts;
+}
+
+/**
+ * Dice coefficient of two token lists (as multisets), 0 if both are empty
+ */
+function dice(a, b) {
+  if (a.length + b.length === 0) return 0;
+
+  const counts = countTokens(a);
+  let shared = 0;
+  for (const token of b) {
+    const count = counts.get(token) || 0;
+    if (count > 0) {
+      shared++;
+      counts.set(token, count - 1);
+    }
+  }
+  return (2 * shared) / (a.length + b.length);
+}
+
+/**
+ * Similarity of two versions of a document, by their non-empty lines
+ */
+function lineSimilarity(a, b) {
+  const lines = content => content.split('\n').map(line => line.trim()).filter(Boolean);
+  return dice(lines(a), lines(b));
+}
+
+/**
+ * Tokens of a document that do not change in translation
+ */
+function structureTokens(content, options = {}) {
+  let structure;
+  try {
+    structure = extractStructure(content, options);
+  } catch {
+    return [];
+  }
+
+  // `/zh/guide` and `/en/guide` are the same link
+  const stripLocale = url => url.replace(/^\/[a-z]{2}(?:[-_][A-Za-z]+)?(?=\/)/, '');
+  return [
+    ...(structure.headings.length > 0 ? [`headings:${structure.headings.map(h => h.depth).join(',')}`] : []),
+    ...(structure.listItems.length > 0 ? [`list-items:${structure.listItems.length}`] : []),
+    ...structure.codeBlocks.map(code => `code:${code.lang || ''}:${code.value}`),
+    ...structure.links.map(link => `link:${stripLocale(link.url)}`),
+    ...structure.images.map(image => `image:${stripLocale(image.url)}`),
+    ...structure.tables.map(table => `table:${table.rows}x${table.columns}`)
+  ];
+}
+
+/**
+ * Similarity of a source document and a (possibly translated) counterpart
+ *
+ * options are passed to extractStructure (mdx, filePath).
+ */
+function structureSimilarity(a, b, options = {}) {
+  const tokensA = structureTokens(a, options);
+  const tokensB = structureTokens(b, options);
+  if (tokensA.length < MIN_STRUCTURE_TOKENS || tokensB.length < MIN_STRUCTURE_TOKENS) return 0;
+  return dice(tokensA, tokensB);
+}
+
+/**
+ * Pair removed and added files by similarity
+ *
+ * similarity(removed, added) returns a score between 0 and 1. Returns
+ * [{ from, to, similarity }] with each file used at most once.
+ */
+async function matchRenames(removed, added, similarity, { threshold = RENAME_THRESHOLD } = {}) {
+  const pairs = [];
+  for (const from of removed) {
+    for (const to of added) {
+      let score = await similarity(from, to);
+      if (path.basename(from) === path.basename(to)) score = Math.min(1, score + SAME_NAME_BONUS);
+      if (score >= threshold) pairs.push({ from, to, similarity: Math.round(score * 100) / 100 });
+    }
+  }
+
+  pairs.sort((a, b) => b.similarity - a.similarity || a.to.localeCompare(b.to));
+  const used = new Set();
+  const matches = [];
+  for (const pair of pairs) {
+    if (used.has(`-${pair.from}`) || used.has(`+${pair.to}`)) continue;
+    used.add(`-${pair.from}`);
+    used.add(`+${pair.to}`);
+    matches.push(pair);
+  }
+
+  return matches.sort((a, b) => a.to.localeCompare(b.to));
+}
+
+export {
+  RENAME_THRESHOLD,
+  getGitRenames,
+  lineSimilarity,
+  structureSimilarity,
+  matchRenames
+};
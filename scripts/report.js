@@ -0,0 +1,165 @@
+/**
+ * Machine-readable validation reports.
+ *
+ * Formats validation results ({ <file>: result }, see findings.js) as:
+ *   - SARIF 2.1.0, for code scanning (GitHub, Azure DevOps, IDEs)
+ *   - JUnit XML, one test case per file, for CI test dashboards
+ *   - GitHub Actions workflow commands (`::error file=...,line=...::message`),
+ *     which annotate the lines of a pull request
+ *
+ * Suppressed findings are included in SARIF (with an inSource suppression)
+ * and JUnit (as output). File paths are reported relative to the working
+ * directory.
+ */
+
+import path from 'path';
+import { RULES } from './findings.js';
+
+const TOOL_NAME = 'markdown-i18n validate';
+const TOOL_URI = 'https://github.com/BeaversLab/skill-markdown-i18n';
+
+/**
+ * All findings of a set of results, files relative to cwd with `/` separators
+ *
+ * With suppressed set, returns the suppressed findings instead.
+ */
+function collectFindings(results, cwd = process.cwd(), suppressed = false) {
+  return Object.values(results).flatMap(result => (result[suppressed ? 'suppressed' : 'findings'] || []).map(finding => ({
+    ...finding,
+    file: finding.file ? path.relative(cwd, path.resolve(cwd, finding.file)).split(path.sep).join('/') : null
+  })));
+}
+
+/**
+ * SARIF 2.1.0 log
+ */
+function toSarif(results, cwd = process.cwd()) {
+  const findings = [...collectFindings(results, cwd), ...collectFindings(results, cwd, true)];
+  const ruleIds = Object.keys(RULES);
+
+  return {
+    $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+    version: '2.1.0',
+    runs: [{
+      tool: {
+        driver: {
+          name: TOOL_NAME,
+          informationUri: TOOL_URI,
+          rules: ruleIds.map(id => ({ id, shortDescription: { text: RULES[id] } }))
+        }
+      },
+      results: findings.map(finding => {
+        const physicalLocation = { artifactLocation: { uri: finding.file } };
+        if (finding.line) {
+          physicalLocation.region = { startLine: finding.line, startColumn: finding.column || 1 };
+        }
+
+        const result = {
+          ruleId: finding.rule,
+          ruleIndex: ruleIds.indexOf(finding.rule),
+          level: finding.severity === 'error' ? 'error' : 'warning',
+          message: { text: finding.message },
+          locations: finding.file ? [{ physicalLocation }] : []
+        };
+        if (finding.suppressedBy) {
+          result.suppressions = [{
+            kind: 'inSource',
+            justification: `i18n-disable-next-line at line ${finding.suppressedBy}`
+          }];
+        }
+        return result;
+      })
+    }]
+  };
+}
+
+/**
+ * Escape text for XML attributes and content
+ */
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * Finding as a report line: `file:line:column [rule] message`
+ */
+function formatFindingLine(finding) {
+  const location = [finding.file, finding.line, finding.line && finding.column].filter(Boolean).join(':');
+  return `${location} [${finding.rule}] ${finding.message}`;
+}
+
+/**
+ * JUnit XML report: one test case per file, failing on errors
+ */
+function toJUnit(results, cwd = process.cwd()) {
+  const cases = Object.entries(results).map(([file, result]) => {
+    const findings = collectFindings({ [file]: result }, cwd);
+    const errors = findings.filter(f => f.severity === 'error');
+    const warnings = findings.filter(f => f.severity === 'warning');
+    const suppressed = collectFindings({ [file]: result }, cwd, true);
+    const output = [
+      ...warnings.map(formatFindingLine),
+      ...suppressed.map(f => `${formatFindingLine(f)} (suppressed at line ${f.suppressedBy})`)
+    ];
+    const lines = [`    <testcase classname="i18n.validate" name="${escapeXml(file)}">`];
+    if (errors.length > 0) {
+      lines.push(`      <failure message="${escapeXml(`${errors.length} error(s)`)}" type="error">${escapeXml(errors.map(formatFindingLine).join('\n'))}</failure>`);
+    }
+    if (output.length > 0) {
+      lines.push(`      <system-out>${escapeXml(output.join('\n'))}</system-out>`);
+    }
+    lines.push('    </testcase>');
+
+    return { failed: errors.length > 0, xml: lines.join('\n') };
+  });
+
+  const failures = cases.filter(c => c.failed).length;
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="${TOOL_NAME}" tests="${cases.length}" failures="${failures}">`,
+    `  <testsuite name="i18n.validate" tests="${cases.length}" failures="${failures}" errors="0" skipped="0">`,
+    ...cases.map(c => c.xml),
+    '  </testsuite>',
+    '</testsuites>'
+  ].join('\n');
+}
+
+/**
+ * Escape workflow command data (the message)
+ */
+function escapeData(text) {
+  return String(text).replace(/%/g, '%25').replace(/\r/g, '%0D').replace(/\n/g, '%0A');
+}
+
+/**
+ * Escape a workflow command property value
+ */
+function escapeProperty(text) {
+  return escapeData(text).replace(/:/g, '%3A').replace(/,/g, '%2C');
+}
+
+/**
+ * GitHub Actions annotations, one `::error` / `::warning` command per finding
+ */
+function toGitHubAnnotations(results, cwd = process.cwd()) {
+  return collectFindings(results, cwd).map(finding => {
+    const properties = [];
+    if (finding.file) properties.push(`file=${escapeProperty(finding.file)}`);
+    if (finding.line) properties.push(`line=${finding.line}`, `col=${finding.column || 1}`);
+    properties.push(`title=${escapeProperty(`i18n ${finding.rule}`)}`);
+
+    return `::${finding.severity === 'error' ? 'error' : 'warning'} ${properties.join(',')}::${escapeData(finding.message)}`;
+  }).join('\n');
+}
+
+export {
+  collectFindings,
+  toSarif,
+  toJUnit,
+  toGitHubAnnotations
+};
@@ -0,0 +1,205 @@
+/**
+ * Route maps: which page URL each markdown file of a locale tree is served at.
+ *
+ * A file's route is its path relative to the locale directory without the
+ * extension, under the locale's link prefix:
+ *
+ *   docs/zh/guide/setup.md  →  /zh/guide/setup
+ *   docs/zh/guide/index.md  →  /zh/guide
+ *
+ * The rules are configurable in .i18n/config.yaml:
+ *
+ *   routes:
+ *     index_files: [index, README]   # served at their directory URL (default)
+ *     rewrites:                       # applied in order to the extensionless path
+ *       - from: "^blog/(\\d+)-"
+ *         to: "blog/"
+ *
+ * Links are looked up with query, fragment, trailing slash and a .md/.mdx/.html
+ * extension removed. Relative links resolve against the linking file.
+ */
+
+import path from 'path';
+import { findMarkdownFiles } from './create-plan.js';
+import { issueAt } from './findings.js';
+
+const DEFAULT_INDEX_FILES = ['index', 'README'];
+const PAGE_EXTENSIONS = ['.md', '.mdx', '.html'];
+
+/**
+ * Read route rules from the project config
+ *
+ * Throws if a rewrite pattern is not a valid regular expression.
+ */
+function getRouteRules(config = {}) {
+  const routes = config.routes || {};
+  const indexFiles = [].concat(routes.index_files ?? DEFAULT_INDEX_FILES).map(String);
+
+  const rewrites = (routes.rewrites || []).map(rule => {
+    try {
+      return { from: new RegExp(rule.from), to: rule.to ?? '' };
+    } catch (err) {
+      throw new Error(`Invalid routes.rewrites pattern "${rule.from}": ${err.message}`);
+    }
+  });
+
+  return { indexFiles, rewrites };
+}
+
+/**
+ * Normalize an extensionless, root-relative page path to a route (`/a/b`, `/`)
+ */
+function toRoute(pagePath, rules) {
+  let segments = pagePath.split('/').filter(s => s && s !== '.');
+
+  const last = segments[segments.length - 1];
+  if (last && rules.indexFiles.includes(last)) {
+    segments = segments.slice(0, -1);
+  }
+
+  let route = segments.join('/');
+  for (const rewrite of rules.rewrites) {
+    route = route.replace(rewrite.from, rewrite.to);
+  }
+
+  return `/${route.replace(/^\/+|\/+$/g, '')}`;
+}
+
+/**
+ * Route of a file relative to its locale directory
+ */
+function fileToRoute(relFile, rules) {
+  const posixPath = relFile.split(path.sep).join('/');
+  return toRoute(posixPath.replace(/\.(md|mdx)$/i, ''), rules);
+}
+
+/**
+ * Build the route map of a locale tree
+ *
+ * Returns { root, prefix, rules, routes: Map<route, relative file> }.
+ */
+async function buildRouteMap(root, prefix, rules) {
+  const routes = new Map();
+
+  for (const relFile of await findMarkdownFiles(root)) {
+    const route = fileToRoute(relFile, rules);
+    if (!routes.has(route)) routes.set(route, relFile);
+  }
+
+  return { root, prefix: prefix || '', rules, routes };
+}
+
+/**
+ * Strip query, fragment and page extension from a link path
+ *
+ * Returns null for links that are not pages (external URLs, assets, `#x`).
+ */
+function getLinkPagePath(url) {
+  if (/^[a-z][a-z0-9+.-]*:/i.test(url) || url.startsWith('//')) return null;
+
+  let linkPath = url.split(/[?#]/)[0];
+  if (!linkPath) return null;
+
+  try {
+    linkPath = decodeURI(linkPath);
+  } catch {
+    // Keep malformed escapes as written
+  }
+
+  const ext = path.posix.extname(linkPath.replace(/\/+$/, ''));
+  if (ext && !PAGE_EXTENSIONS.includes(ext.toLowerCase())) return null;
+
+  return linkPath.replace(/\/+$/, '').replace(/\.(md|mdx|html)$/i, '');
+}
+
+/**
+ * Check whether an absolute page path is under a link prefix ('' matches all)
+ */
+function hasPrefix(pagePath, prefix) {
+  return !prefix || pagePath === prefix || pagePath.startsWith(`${prefix}/`);
+}
+
+/**
+ * Resolve a link against a route map
+ *
+ * filePath is the linking file relative to the map's root (for relative
+ * links). Returns { route, file } with file null when no page matches, or
+ * null when the link is not a page link of this locale.
+ */
+function resolveRoute(url, routeMap, filePath = null) {
+  const pagePath = getLinkPagePath(url);
+  if (pagePath === null) return null;
+
+  let route;
+  if (pagePath.startsWith('/')) {
+    if (!hasPrefix(pagePath, routeMap.prefix)) return null;
+    route = toRoute(pagePath.slice(routeMap.prefix.length), routeMap.rules);
+  } else {
+    if (filePath === null) return null;
+    const dir = path.posix.dirname(filePath.split(path.sep).join('/'));
+    const joined = path.posix.normalize(path.posix.join(dir, pagePath || '.'));
+    if (joined.startsWith('..')) return null;
+    route = toRoute(joined, routeMap.rules);
+  }
+
+  return { route, file: routeMap.routes.get(route) || null };
+}
+
+/**
+ * Check that internal links of a target file point at existing target pages
+ *
+ * Options:
+ *   filePath: the target file, relative to target.root
+ *   target:   route map of the target locale tree
+ *   source:   route map of the source locale tree (for fallback suggestions)
+ *   lookups:  Map collecting every route looked up, as `target:/route` or
+ *             `source:/route` → the file it resolved to (null if none)
+ *
+ * Returns errors as { message, line, column } (the link in the target).
+ */
+function validateInternalLinks(links, { filePath, target, source = null, lookups = null }) {
+  const errors = [];
+  const record = (locale, route, file) => lookups?.set(`${locale}:${route}`, file || null);
+
+  for (const link of links) {
+    const pagePath = getLinkPagePath(link.url);
+    if (pagePath === null) continue;
+
+    // Links still pointing at the source locale must at least exist there
+    // (the missing locale prefix is reported by the link localization check)
+    const isSourceLink = source && source.prefix && pagePath.startsWith('/') &&
+      hasPrefix(pagePath, source.prefix) && !(target.prefix && hasPrefix(pagePath, target.prefix));
+    if (isSourceLink) {
+      const resolved = resolveRoute(link.url, source);
+      if (resolved) record('source', resolved.route, resolved.file);
+      if (resolved && !resolved.file) {
+        errors.push(issueAt(link, `Broken link: "${link.url}" (target line ${link.line}) - no page ${resolved.route} in the source locale either`));
+      }
+      continue;
+    }
+
+    const resolved = resolveRoute(link.url, target, filePath);
+    if (resolved) record('target', resolved.route, resolved.file);
+    if (!resolved || resolved.file) continue;
+
+    const fallback = source ? source.routes.get(resolved.route) : null;
+    if (source) record('source', resolved.route, fallback);
+    if (fallback) {
+      const fallbackUrl = `${source.prefix}${resolved.route}`;
+      errors.push(issueAt(link, `Link to untranslated page: "${link.url}" (target line ${link.line}) - ${resolved.route} only exists in the source locale (${path.join(source.root, fallback)}); link ${fallbackUrl} until it is translated`));
+    } else {
+      errors.push(issueAt(link, `Broken link: "${link.url}" (target line ${link.line}) - no page ${resolved.route} in the target locale`));
+    }
+  }
+
+  return errors;
+}
+
+export {
+  getRouteRules,
+  fileToRoute,
+  buildRouteMap,
+  getLinkPagePath,
+  resolveRoute,
+  validateInternalLinks
+};
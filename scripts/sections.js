@@ -0,0 +1,142 @@
+/**
+ * Section alignment between a source document and its translation.
+ *
+ * Translated headings cannot be compared by their text, so sections are
+ * paired by structure:
+ *
+ *   1. headings with the same anchor in both documents: an explicit
+ *      `{#custom-id}`, or a slug that survived translation (`## API`). Only
+ *      anchors that are unique in each document and keep the document order
+ *      are used.
+ *   2. between two anchor pairs, the longest run of sections with the same
+ *      heading depth, in document order
+ *
+ * Sections are those of markdown.js (top-level headings); the content before
+ * the first heading pairs with its counterpart like a heading of depth 0.
+ */
+
+import { parseMarkdown, extractSections } from './markdown.js';
+import { getAnchors } from './anchors.js';
+
+/**
+ * Sections of a document with their heading anchor (null for the intro)
+ */
+function getSections(content, options = {}) {
+  const tree = parseMarkdown(content, options);
+  const anchors = new Map(getAnchors(tree).filter(a => a.text !== null).map(a => [a.line, a.id]));
+
+  return extractSections(content, { ...options, tree }).map(section => ({
+    ...section,
+    anchor: section.level > 0 ? anchors.get(section.line) || null : null
+  }));
+}
+
+/**
+ * Anchor → section index, for anchors used by exactly one section
+ */
+function getUniqueAnchors(sections) {
+  const counts = new Map();
+  for (const { anchor } of sections) {
+    if (anchor) counts.set(anchor, (counts.get(anchor) || 0) + 1);
+  }
+
+  const unique = new Map();
+  sections.forEach((section, index) => {
+    if (counts.get(section.anchor) === 1) unique.set(section.anchor, index);
+  });
+  return unique;
+}
+
+/**
+ * Longest common subsequence of two section lists by heading depth
+ *
+ * Returns [[sourceIndex, targetIndex]] in document order.
+ */
+function alignByDepth(source, target) {
+  const n = source.length;
+  const m = target.length;
+  const lcs = Array.from({ length: n + 1 }, () => new Array(m + 1).fill(0));
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      lcs[i][j] = source[i].level === target[j].level
+        ? lcs[i + 1][j + 1] + 1
+        : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const pairs = [];
+  let i = 0;
+  let j = 0;
+  while (i < n && j < m) {
+    if (source[i].level === target[j].level && lcs[i][j] === lcs[i + 1][j + 1] + 1) {
+      pairs.push([i++, j++]);
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      i++;
+    } else {
+      j++;
+    }
+  }
+  return pairs;
+}
+
+/**
+ * Pair the sections of a source document with those of its translation
+ *
+ * options are passed to the markdown parser (mdx, filePath). Returns
+ * { source, target, pairs }: the sections of both documents (as
+ * extractSections, plus `anchor`) and, for each source section in order,
+ * { source, target, matched_by } with target null (and matched_by null)
+ * when the translation has no counterpart. matched_by is 'anchor' or 'order'.
+ */
+function alignSections(sourceContent, targetContent, options = {}) {
+  const source = getSections(sourceContent, options);
+  const target = getSections(targetContent, options);
+  const matches = new Array(source.length).fill(null);
+
+  // Anchor pairs, kept only while they follow the document order
+  const sourceAnchors = getUniqueAnchors(source);
+  const targetAnchors = getUniqueAnchors(target);
+  const fixed = [[-1, -1]];
+  source.forEach((section, index) => {
+    const targetIndex = targetAnchors.get(section.anchor);
+    if (sourceAnchors.get(section.anchor) !== index || targetIndex === undefined) return;
+    if (targetIndex > fixed[fixed.length - 1][1]) {
+      matches[index] = { index: targetIndex, by: 'anchor' };
+      fixed.push([index, targetIndex]);
+    }
+  });
+  fixed.push([source.length, target.length]);
+
+  // Heading depths between anchor pairs
+  for (let k = 0; k + 1 < fixed.length; k++) {
+    const [sourceStart, targetStart] = fixed[k];
+    const [sourceEnd, targetEnd] = fixed[k + 1];
+    const pairs = alignByDepth(source.slice(sourceStart + 1, sourceEnd), target.slice(targetStart + 1, targetEnd));
+    for (const [i, j] of pairs) {
+      matches[sourceStart + 1 + i] = { index: targetStart + 1 + j, by: 'order' };
+    }
+  }
+
+  return {
+    source,
+    target,
+    pairs: source.map((section, index) => ({
+      source: section,
+      target: matches[index] ? target[matches[index].index] : null,
+      matched_by: matches[index]?.by || null
+    }))
+  };
+}
+
+/**
+ * Index of the section containing a 1-based line, or -1
+ */
+function findSectionIndex(sections, line) {
+  return sections.findIndex(section => line - 1 >= section.start && line - 1 <= section.end);
+}
+
+export {
+  getSections,
+  alignSections,
+  findSectionIndex
+};
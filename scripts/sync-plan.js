@@ -3,13 +3,23 @@
  * Create a sync plan by comparing two directories and detecting changes.
  *
  * Usage:
- *   node sync-plan.js <source_dir> <target_dir> [--output <plan_file>]
+ *   node sync-plan.js [source_dir] [target_dir] [--output <plan_file>] [--state <state_file>] [--config <file>] [--dry-run]
+ *
+ * source_dir and target_dir default to `source_dir` / `target_dir` from the
+ * project config (.i18n/config.yaml, see config.js).
  *
  * Features:
  *   - Detects new files (in source only)
  *   - Detects deleted files (in target only)
- *   - Detects modified files (exist in both, but source changed)
- *   - Detects unchanged files (exist in both, not modified)
+ *   - Detects modified files (source changed since its recorded baseline)
+ *   - Detects unchanged files (source matches its recorded baseline)
+ *   - Detects untracked files (exist in both, but no baseline recorded yet)
+ *   - Detects moved files (a new source file whose translation is still at the
+ *     old path): git renames first, else content similarity (see renames.js).
+ *     They get `action: move`, so the existing translation is moved, not redone.
+ *
+ * Baselines are read from .i18n/sync-state.yaml, which update-plan.js
+ * writes whenever a file is marked done.
  *
  * Output location:
  *   - Project skill: <project_root>/.i18n/translation-plan.yaml
@@ -22,25 +32,24 @@
 
 import fs from 'fs/promises';
 import path from 'path';
-import yaml from 'js-yaml';
 import { fileURLToPath } from 'url';
-import { createHash } from 'crypto';
+import { loadConfig, getSourceDir, getTargetDir } from './config.js';
+import {
+  getFileHash,
+  getDefaultStatePath,
+  loadSyncState,
+  saveSyncState,
+  getBaseline,
+  recordBaseline
+} from './sync-state.js';
+import { dumpPlan, writePlanFile } from './plan.js';
+import { isMdxPath } from './markdown.js';
+import { getGitRenames, structureSimilarity, matchRenames } from './renames.js';
+import { parseArgs, isMainModule, runMain, EXIT_OK, EXIT_USAGE } from './cli-args.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-/**
- * Calculate file content hash for comparison
- */
-async function getFileHash(filePath) {
-  try {
-    const content = await fs.readFile(filePath, 'utf-8');
-    return createHash('md5').update(content).digest('hex');
-  } catch {
-    return null;
-  }
-}
-
 /**
  * Get file stats including mtime and hash
  */
@@ -123,13 +132,89 @@ async function detectInstallationType() {
   };
 }
 
+/**
+ * Pair new source files with orphaned target files they were moved from
+ *
+ * added and removed are paths relative to sourceDir / targetDir. Uses git's
+ * renames of the source tree, then the similarity of the new source to the
+ * orphaned translation. Returns [{ from, to, detected_by, similarity }].
+ */
+async function findMovedFiles(sourceDir, targetDir, added, removed) {
+  const moves = [];
+  const gitRenames = await getGitRenames(sourceDir);
+  const addedSet = new Set(added);
+
+  for (const from of removed) {
+    const renamed = gitRenames.get(path.join(sourceDir, from));
+    const to = renamed && path.relative(sourceDir, renamed);
+    if (to && addedSet.has(to)) {
+      moves.push({ from, to, detected_by: 'git', similarity: null });
+      addedSet.delete(to);
+    }
+  }
+
+  const moved = new Set(moves.map(m => m.from));
+  const contents = new Map();
+  const read = async file => {
+    if (!contents.has(file)) contents.set(file, await fs.readFile(file, 'utf-8').catch(() => ''));
+    return contents.get(file);
+  };
+  const similar = await matchRenames(
+    removed.filter(from => !moved.has(from)),
+    [...addedSet],
+    async (from, to) => structureSimilarity(
+      await read(path.join(targetDir, from)),
+      await read(path.join(sourceDir, to)),
+      { mdx: isMdxPath(to) }
+    )
+  );
+  moves.push(...similar.map(m => ({ ...m, detected_by: 'similarity' })));
+
+  return moves;
+}
+
+/**
+ * Plan entry for a moved source file, keeping the translation at its old path
+ */
+async function createMoveEntry(move, sourceDir, targetDir, syncState) {
+  const sourcePath = path.join(sourceDir, move.to);
+  const previousTarget = path.join(targetDir, move.from);
+  const baseline = getBaseline(syncState, previousTarget);
+  const sourceHash = await getFileHash(sourcePath);
+  const unchanged = !!baseline && baseline.source_hash === sourceHash;
+
+  const entry = {
+    source: sourcePath,
+    target: path.join(targetDir, move.to),
+    previous_target: previousTarget,
+    status: 'pending',
+    action: 'move',
+    notes: unchanged
+      ? `MOVED: 源文件由 ${path.join(sourceDir, move.from)} 移动而来，移动目标文件即可，翻译无需修改`
+      : `MOVED: 源文件由 ${path.join(sourceDir, move.from)} 移动而来，移动目标文件并保留翻译，再核对源文件改动`,
+    detected_by: move.detected_by,
+    source_hash: sourceHash
+  };
+  if (move.similarity !== null) entry.similarity = move.similarity;
+  if (baseline) entry.baseline_hash = baseline.source_hash;
+  return entry;
+}
+
 /**
  * Create sync plan by comparing source and target directories
+ *
+ * Options:
+ *   statePath: sync state manifest to read baselines from (see sync-state.js)
+ *   initState: record a baseline for existing translations without one
+ *   saveState: write baselines recorded by initState back (default: true)
+ *   renames:   detect moved files (default: true)
+ *   log:       progress callback, called once per changed file and for warnings
+ *
+ * Returns the plan object; use writePlanFile() from plan.js to save it.
  */
-async function createSyncPlan(sourceDir, targetDir, outputPath) {
-  console.log(`Scanning directories...`);
-  console.log(`  Source: ${sourceDir}`);
-  console.log(`  Target: ${targetDir}`);
+async function createSyncPlan(sourceDir, targetDir, { statePath = null, initState = false, saveState = true, renames = true, log = () => {} } = {}) {
+  const syncState = await loadSyncState(statePath);
+  let stateChanged = false;
 
   const sourceFiles = await findMarkdownFiles(sourceDir, sourceDir);
   const targetFiles = await findMarkdownFiles(targetDir, targetDir);
@@ -149,11 +234,24 @@ async function createSyncPlan(sourceDir, targetDir, outputPath) {
     new: 0,
     deleted: 0,
     modified: 0,
+    moved: 0,
     unchanged: 0,
+    untracked: 0,
     total: 0
   };
 
-  console.log(`\nComparing files...`);
+  // Moved files: one MOVE entry instead of a NEW and a DELETED one
+  const moves = new Map();
+  if (renames) {
+    const added = sourceFiles.map(f => f.relPath).filter(relPath => !targetMap.has(relPath));
+    const removed = targetFiles.map(f => f.relPath).filter(relPath => !sourceMap.has(relPath));
+    if (added.length > 0 && removed.length > 0) {
+      for (const move of await findMovedFiles(sourceDir, targetDir, added, removed)) {
+        moves.set(move.to, move);
+      }
+    }
+  }
+  const movedFrom = new Set([...moves.values()].map(move => move.from));
 
   for (const relPath of Array.from(allPaths).sort()) {
     const sourceFile = sourceMap.get(relPath);
@@ -161,7 +259,17 @@ async function createSyncPlan(sourceDir, targetDir, outputPath) {
 
     let fileEntry;
 
-    if (sourceFile && !targetFile) {
+    if (moves.has(relPath)) {
+      const move = moves.get(relPath);
+      summary.moved++;
+      fileEntry = await createMoveEntry(move, sourceDir, targetDir, syncState);
+      log(`  > MOVED: ${move.from} → ${move.to} (${move.detected_by})`);
+
+    } else if (movedFrom.has(relPath)) {
+      // Old path of a moved file, covered by its MOVE entry
+      continue;
+
+    } else if (sourceFile && !targetFile) {
       // New file (only in source)
       summary.new++;
       fileEntry = {
@@ -170,7 +278,7 @@ async function createSyncPlan(sourceDir, targetDir, outputPath) {
         status: 'pending',
         notes: 'NEW: 新增文件，需要翻译'
       };
-      console.log(`  + NEW: ${relPath}`);
+      log(`  + NEW: ${relPath}`);
 
     } else if (!sourceFile && targetFile) {
       // Deleted file (only in target)
@@ -181,46 +289,66 @@ async function createSyncPlan(sourceDir, targetDir, outputPath) {
         status: 'deleted',
         notes: 'DELETED: 源文件已删除，目标文件应删除'
       };
-      console.log(`  - DELETED: ${relPath}`);
+      log(`  - DELETED: ${relPath}`);
 
     } else if (sourceFile && targetFile) {
-      // File exists in both - check if modified
+      // File exists in both - check if source changed since its baseline
       const sourceStats = await getFileStats(sourceFile.fullPath);
       const targetStats = await getFileStats(targetFile.fullPath);
+      const sourcePath = path.join(sourceDir, relPath);
+      const targetPath = path.join(targetDir, relPath);
+      let baseline = getBaseline(syncState, targetPath);
+
+      if (!baseline && initState && sourceStats) {
+        // Treat the existing translation as up to date
+        baseline = await recordBaseline(syncState, sourcePath, targetPath, { log });
+        stateChanged = true;
+      }
 
-      if (sourceStats && targetStats) {
-        // Compare by hash (content) for accuracy
-        if (sourceStats.hash !== targetStats.hash) {
-          summary.modified++;
-          fileEntry = {
-            source: path.join(sourceDir, relPath),
-            target: path.join(targetDir, relPath),
-            status: 'needs_update',
-            notes: 'MODIFIED: 源文件已修改，需要同步更新翻译',
-            source_hash: sourceStats.hash,
-            target_hash: targetStats.hash,
-            source_mtime: sourceStats.mtime.toISOString(),
-            target_mtime: targetStats.mtime.toISOString()
-          };
-          console.log(`  * MODIFIED: ${relPath}`);
-        } else {
-          summary.unchanged++;
-          fileEntry = {
-            source: path.join(sourceDir, relPath),
-            target: path.join(targetDir, relPath),
-            status: 'done',
-            notes: 'UNCHANGED: 文件未修改',
-            source_hash: sourceStats.hash
-          };
-        }
-      } else {
+      if (!sourceStats || !targetStats) {
         // Error reading stats, mark as pending to be safe
         fileEntry = {
-          source: path.join(sourceDir, relPath),
-          target: path.join(targetDir, relPath),
+          source: sourcePath,
+          target: targetPath,
           status: 'pending',
           notes: 'ERROR: 无法读取文件状态'
         };
+      } else if (!baseline) {
+        // No baseline recorded, can't tell whether the source changed
+        summary.untracked++;
+        fileEntry = {
+          source: sourcePath,
+          target: targetPath,
+          status: 'needs_update',
+          notes: 'UNTRACKED: 没有同步基线，请核对翻译后标记为 done',
+          source_hash: sourceStats.hash,
+          source_mtime: sourceStats.mtime.toISOString(),
+          target_mtime: targetStats.mtime.toISOString()
+        };
+        log(`  ? UNTRACKED: ${relPath}`);
+      } else if (sourceStats.hash !== baseline.source_hash) {
+        summary.modified++;
+        fileEntry = {
+          source: sourcePath,
+          target: targetPath,
+          status: 'needs_update',
+          notes: 'MODIFIED: 源文件已修改，需要同步更新翻译',
+          source_hash: sourceStats.hash,
+          baseline_hash: baseline.source_hash,
+          baseline_commit: baseline.source_commit || null,
+          source_mtime: sourceStats.mtime.toISOString(),
+          target_mtime: targetStats.mtime.toISOString()
+        };
+        log(`  * MODIFIED: ${relPath}`);
+      } else {
+        summary.unchanged++;
+        fileEntry = {
+          source: sourcePath,
+          target: targetPath,
+          status: 'done',
+          notes: 'UNCHANGED: 文件未修改',
+          source_hash: sourceStats.hash
+        };
       }
     }
 
@@ -231,7 +359,7 @@ async function createSyncPlan(sourceDir, targetDir, outputPath) {
   }
 
   // Calculate overall status
-  const needsAction = summary.new + summary.modified + summary.deleted;
+  const needsAction = summary.new + summary.modified + summary.moved + summary.deleted + summary.untracked;
   const overallStatus = needsAction === 0 ? 'completed' : (summary.unchanged > 0 ? 'in_progress' : 'not_started');
 
   // Create plan structure
@@ -241,6 +369,7 @@ async function createSyncPlan(sourceDir, targetDir, outputPath) {
       source_dir: sourceDir,
       target_dir: targetDir,
       type: 'sync',  // Indicates this is a sync plan
+      sync_state: statePath,
       status: overallStatus
     },
     summary: {
@@ -248,34 +377,48 @@ async function createSyncPlan(sourceDir, targetDir, outputPath) {
       new: summary.new,
       deleted: summary.deleted,
       modified: summary.modified,
+      moved: summary.moved,
       unchanged: summary.unchanged,
+      untracked: summary.untracked,
       needs_action: needsAction
     },
     files: planFiles,
     log: []
   };
 
-  // Write plan file
-  const outputDir = path.dirname(outputPath);
-  await fs.mkdir(outputDir, { recursive: true });
+  if (stateChanged && saveState && statePath) {
+    await saveSyncState(statePath, syncState);
+  }
 
-  const yamlContent = yaml.dump(plan, {
-    indent: 2,
-    lineWidth: -1,
-    noRefs: true
-  });
+  return plan;
+}
 
-  await fs.writeFile(outputPath, yamlContent, 'utf-8');
+/**
+ * Print the plan summary and warnings
+ */
+function printSummary(plan) {
+  const { summary } = plan;
 
-  // Print summary
-  console.log(`\n✓ Sync plan created: ${outputPath}`);
   console.log(`\nSummary:`);
   console.log(`  New files:      ${summary.new}`);
   console.log(`  Modified files: ${summary.modified}`);
+  console.log(`  Moved files:    ${summary.moved || 0}`);
   console.log(`  Deleted files:  ${summary.deleted}`);
   console.log(`  Unchanged:      ${summary.unchanged}`);
+  console.log(`  Untracked:      ${summary.untracked}`);
   console.log(`  Total:          ${summary.total}`);
-  console.log(`\nActions needed: ${needsAction}`);
+  console.log(`\nActions needed: ${summary.needs_action}`);
+
+  if (summary.untracked > 0) {
+    console.log(`\n⚠️  Warning: ${summary.untracked} file(s) have no recorded baseline in ${plan.meta.sync_state}.`);
+    console.log(`   Mark them done with update-plan.js once verified, or rerun with --init-state`);
+    console.log(`   to accept the current translations as up to date.`);
+  }
+
+  if (summary.moved > 0) {
+    console.log(`\n${summary.moved} file(s) moved in source: move each previous_target to its target`);
+    console.log(`   (git mv) to keep the existing translation instead of translating again.`);
+  }
 
   if (summary.deleted > 0) {
     console.log(`\n⚠️  Warning: ${summary.deleted} file(s) deleted in source.`);
@@ -283,50 +426,74 @@ async function createSyncPlan(sourceDir, targetDir, outputPath) {
   }
 }
 
+const OPTIONS = {
+  output: { alias: 'o', type: 'string' },
+  config: { type: 'string' },
+  state: { type: 'string' },
+  'init-state': { type: 'boolean' },
+  'no-renames': { type: 'boolean' },
+  'dry-run': { type: 'boolean' }
+};
+
+function printUsage() {
+  console.log('Usage: node sync-plan.js [source_dir] [target_dir] [--output <file>] [--state <file>] [--init-state] [--dry-run]');
+  console.log('');
+  console.log('Arguments:');
+  console.log('  source_dir       Source directory (e.g., docs/en; default: from .i18n/config.yaml)');
+  console.log('  target_dir       Target directory (e.g., docs/zh; default: from .i18n/config.yaml)');
+  console.log('  --output, -o     Custom output path (optional)');
+  console.log('  --config         Project config file (default: .i18n/config.yaml)');
+  console.log('  --state          Custom sync state path (default: .i18n/sync-state.yaml)');
+  console.log('  --init-state     Record a baseline for existing translations without one');
+  console.log('  --no-renames     Report moved files as new + deleted instead of detecting moves');
+  console.log('  --dry-run        Print plan to stdout instead of writing files');
+  console.log('  --help, -h       Show this help message');
+  console.log('');
+  console.log('Output location (default):');
+  console.log('  - Project skill:  <project_root>/.i18n/translation-plan.yaml');
+  console.log('  - Global skill:   <cwd>/.i18n/translation-plan.yaml');
+  console.log('');
+  console.log('Detects:');
+  console.log('  + New files       (only in source)');
+  console.log('  * Modified files  (source changed since last translated)');
+  console.log('  - Deleted files   (only in target)');
+  console.log('  > Moved files     (new in source, translation at the old path: git rename or similar content)');
+  console.log('  ? Untracked files (in both, no baseline recorded)');
+  console.log('  = Unchanged files (source matches its baseline)');
+  console.log('');
+  console.log('Examples:');
+  console.log('  node sync-plan.js docs/en docs/zh');
+  console.log('  node sync-plan.js docs/en docs/zh --output custom/sync-plan.yaml');
+}
+
 /**
  * Main function
  */
 async function main() {
-  const args = process.argv.slice(2);
-  let sourceDir, targetDir, outputPath = null;
-
-  for (let i = 0; i < args.length; i++) {
-    if (args[i] === '--output' || args[i] === '-o') {
-      outputPath = args[++i];
-    } else if (!sourceDir) {
-      sourceDir = args[i];
-    } else if (!targetDir) {
-      targetDir = args[i];
-    }
+  const { values, positionals, help } = parseArgs(process.argv.slice(2), OPTIONS);
+
+  if (help) {
+    printUsage();
+    return EXIT_OK;
   }
 
+  const { output: outputPath, config: configPath, state: statePath, initState, noRenames, dryRun } = values;
+  let [sourceDir, targetDir] = positionals;
+
+  // Fall back to the project config for anything not given on the command line
+  const config = await loadConfig({ configPath });
+  sourceDir = sourceDir || getSourceDir(config);
+  targetDir = targetDir || getTargetDir(config);
+
   if (!sourceDir || !targetDir) {
-    console.log('Usage: node sync-plan.js <source_dir> <target_dir> [--output <file>]');
-    console.log('');
-    console.log('Arguments:');
-    console.log('  source_dir       Source directory (e.g., docs/en)');
-    console.log('  target_dir       Target directory (e.g., docs/zh)');
-    console.log('  --output, -o     Custom output path (optional)');
-    console.log('');
-    console.log('Output location (default):');
-    console.log('  - Project skill:  <project_root>/.i18n/translation-plan.yaml');
-    console.log('  - Global skill:   <cwd>/.i18n/translation-plan.yaml');
-    console.log('');
-    console.log('Detects:');
-    console.log('  + New files      (only in source)');
-    console.log('  * Modified files (in both, but content changed)');
-    console.log('  - Deleted files  (only in target)');
-    console.log('  = Unchanged files (in both, same content)');
-    console.log('');
-    console.log('Examples:');
-    console.log('  node sync-plan.js docs/en docs/zh');
-    console.log('  node sync-plan.js docs/en docs/zh --output custom/sync-plan.yaml');
-    process.exit(1);
+    printUsage();
+    return EXIT_USAGE;
   }
 
   // Detect installation type and determine output path
   const { isProjectSkill, projectRoot, defaultOutputPath } = await detectInstallationType();
   const finalOutputPath = outputPath || defaultOutputPath;
+  const finalStatePath = statePath || getDefaultStatePath(path.dirname(defaultOutputPath));
 
   // Show what's happening
   if (isProjectSkill) {
@@ -345,10 +512,33 @@ async function main() {
 
   console.log(``);
 
-  await createSyncPlan(sourceDir, targetDir, finalOutputPath);
+  console.log(`Scanning directories...`);
+  console.log(`  Source: ${sourceDir}`);
+  console.log(`  Target: ${targetDir}`);
+  console.log(`  Sync state: ${finalStatePath}`);
+  console.log(`\nComparing files...`);
+
+  // --dry-run leaves both the plan and the sync state untouched
+  const plan = await createSyncPlan(sourceDir, targetDir, {
+    statePath: finalStatePath,
+    initState,
+    saveState: !dryRun,
+    renames: !noRenames,
+    log: console.log
+  });
+
+  if (dryRun) {
+    console.log(`\n${dumpPlan(plan)}`);
+  } else {
+    await writePlanFile(plan, finalOutputPath);
+    console.log(`\n✓ Sync plan created: ${finalOutputPath}`);
+  }
+
+  printSummary(plan);
+}
+
+if (isMainModule(import.meta.url)) {
+  runMain(main);
 }
 
-main().catch(err => {
-  console.error('Error:', err.message);
-  process.exit(1);
-});
+export { findMarkdownFiles, createSyncPlan };
@@ -0,0 +1,275 @@
+/**
+ * Source-baseline manifest for translated files.
+ *
+ * Records, for every target file, the hash and git commit of the source it
+ * was last translated from. sync-plan.js compares the current source against
+ * this baseline instead of against the (always different) translated target.
+ *
+ * Format (.i18n/sync-state.yaml):
+ *
+ *   version: 1
+ *   files:
+ *     docs/zh/guide.md:
+ *       source: docs/en/guide.md
+ *       source_hash: 5d41402abc4b2a76b9719d911017c592
+ *       source_commit: a1b2c3d4e5f6...
+ *       updated: '2025-01-31T10:35:00Z'
+ *
+ * The source commit can also be written into each target's frontmatter, so
+ * it travels with the file:
+ *
+ *   # .i18n/config.yaml
+ *   sync_state:
+ *     frontmatter_key: source_commit
+ *
+ * git-diff-sync.js diffs each file from this commit when no --ref is given.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import yaml from 'js-yaml';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import { createHash } from 'crypto';
+
+const execFileAsync = promisify(execFile);
+
+const STATE_FILE_NAME = 'sync-state.yaml';
+const STATE_VERSION = 1;
+
+/**
+ * Calculate file content hash for comparison
+ */
+async function getFileHash(filePath) {
+  try {
+    const content = await fs.readFile(filePath, 'utf-8');
+    return createHash('md5').update(content).digest('hex');
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Get the current HEAD commit, or null outside a git repository
+ */
+async function getHeadCommit(cwd = process.cwd()) {
+  try {
+    const { stdout } = await execFileAsync('git', ['rev-parse', 'HEAD'], { cwd });
+    return stdout.trim() || null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Check whether a file differs from HEAD (modified, staged or untracked)
+ *
+ * Returns false outside a git repository.
+ */
+async function hasUncommittedChanges(filePath, cwd = process.cwd()) {
+  try {
+    const { stdout } = await execFileAsync('git', ['status', '--porcelain', '--', filePath], { cwd });
+    return stdout.trim() !== '';
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Default manifest location inside an .i18n directory
+ */
+function getDefaultStatePath(i18nDir) {
+  return path.join(i18nDir, STATE_FILE_NAME);
+}
+
+/**
+ * Load the manifest, returning an empty one if it doesn't exist yet (or
+ * no path is given)
+ *
+ * A manifest that can't be read or parsed is an error: falling back to an
+ * empty one would drop every recorded baseline on the next save.
+ */
+async function loadSyncState(statePath) {
+  if (!statePath) return { version: STATE_VERSION, files: {} };
+
+  let content;
+  try {
+    content = await fs.readFile(statePath, 'utf-8');
+  } catch (err) {
+    if (err.code === 'ENOENT') return { version: STATE_VERSION, files: {} };
+    throw new Error(`Cannot read sync state ${statePath}: ${err.message}`);
+  }
+
+  let state;
+  try {
+    state = yaml.load(content) || {};
+  } catch (err) {
+    throw new Error(`Invalid sync state ${statePath}: ${err.message}`);
+  }
+  return {
+    version: state.version || STATE_VERSION,
+    files: state.files || {}
+  };
+}
+
+/**
+ * Write the manifest back to disk
+ */
+async function saveSyncState(statePath, state) {
+  await fs.mkdir(path.dirname(statePath), { recursive: true });
+
+  // Keep entries sorted so the manifest diffs cleanly in version control
+  const files = {};
+  for (const key of Object.keys(state.files).sort()) {
+    files[key] = state.files[key];
+  }
+
+  const yamlContent = yaml.dump({ version: state.version, files }, {
+    indent: 2,
+    lineWidth: -1,
+    noRefs: true
+  });
+
+  await fs.writeFile(statePath, yamlContent, 'utf-8');
+}
+
+/**
+ * Look up the recorded baseline for a target file
+ */
+function getBaseline(state, targetPath) {
+  return state.files[path.normalize(targetPath)] || null;
+}
+
+/**
+ * Frontmatter key that records the source commit in target files, or null
+ */
+function getFrontmatterCommitKey(config = {}) {
+  return config.sync_state?.frontmatter_key || null;
+}
+
+const FRONTMATTER_PATTERN = /^---\r?\n([\s\S]*?)\r?\n---(?:\r?\n|$)/;
+
+// Abbreviated or full commit SHA
+const COMMIT_PATTERN = /^[0-9a-f]{4,40}$/i;
+
+/**
+ * Check whether a recorded source commit is a commit SHA
+ */
+function isCommitSha(value) {
+  return typeof value === 'string' && COMMIT_PATTERN.test(value);
+}
+
+/**
+ * Read the source commit recorded in a target file's frontmatter, or null
+ * (also when the value is not a commit SHA)
+ */
+async function readFrontmatterCommit(targetPath, key) {
+  try {
+    const match = (await fs.readFile(targetPath, 'utf-8')).match(FRONTMATTER_PATTERN);
+    const value = match ? yaml.load(match[1])?.[key] : null;
+    const commit = typeof value === 'string' || typeof value === 'number' ? String(value) : null;
+    return isCommitSha(commit) ? commit : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Write the source commit into a target file's frontmatter
+ *
+ * Replaces the key's line, or adds the key (and a frontmatter block if the
+ * file has none). A null commit removes the key, so a stale commit doesn't
+ * outrank the manifest. The rest of the file is kept as is.
+ */
+async function writeFrontmatterCommit(targetPath, key, commit) {
+  const content = await fs.readFile(targetPath, 'utf-8');
+  const match = content.match(FRONTMATTER_PATTERN);
+  const escaped = key.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const keyPattern = new RegExp(`^${escaped}:.*$`, 'm');
+
+  let updated;
+  if (commit === null) {
+    if (!match || !keyPattern.test(match[1])) return;
+    const body = match[1].replace(new RegExp(`^${escaped}:.*(?:\\r?\\n|$)`, 'm'), '').replace(/\r?\n$/, '');
+    // Drop a frontmatter block that only held the key (as added above)
+    updated = body.trim() === ''
+      ? content.slice(match[0].length).replace(/^\r?\n/, '')
+      : content.replace(match[1], () => body);
+  } else {
+    // Quote SHAs YAML would read as numbers (all digits, or digits with one e)
+    const line = `${key}: ${yaml.load(commit) === commit ? commit : `'${commit}'`}`;
+    if (!match) {
+      updated = `---\n${line}\n---\n\n${content}`;
+    } else {
+      const body = keyPattern.test(match[1]) ? match[1].replace(keyPattern, line) : `${match[1]}\n${line}`;
+      updated = content.replace(match[1], () => body);
+    }
+  }
+
+  if (updated !== content) {
+    await fs.writeFile(targetPath, updated, 'utf-8');
+  }
+}
+
+/**
+ * Commit a target file was last translated from
+ *
+ * The frontmatter key wins over the manifest when both are set. Returns
+ * { commit, from } (from: 'frontmatter' or 'sync-state'), or null.
+ */
+async function getBaselineCommit(state, targetPath, frontmatterKey = null) {
+  if (frontmatterKey) {
+    const commit = await readFrontmatterCommit(targetPath, frontmatterKey);
+    if (commit) return { commit, from: 'frontmatter' };
+  }
+
+  const commit = getBaseline(state, targetPath)?.source_commit;
+  return commit ? { commit, from: 'sync-state' } : null;
+}
+
+/**
+ * Record the current source as the baseline of a target file.
+ *
+ * The source commit is HEAD, or null when the source has uncommitted
+ * changes: HEAD is then not the version that was translated, and diffing
+ * from it would miss those changes. That case is reported through log.
+ *
+ * Returns the new entry, or null if the source can't be read.
+ */
+async function recordBaseline(state, sourcePath, targetPath, { log = () => {} } = {}) {
+  const sourceHash = await getFileHash(sourcePath);
+  if (!sourceHash) return null;
+
+  let sourceCommit = await getHeadCommit();
+  if (sourceCommit && await hasUncommittedChanges(sourcePath)) {
+    log(`Warning: ${sourcePath} has uncommitted changes, source commit not recorded (commit the source first)`);
+    sourceCommit = null;
+  }
+
+  const entry = {
+    source: path.normalize(sourcePath),
+    source_hash: sourceHash,
+    source_commit: sourceCommit,
+    updated: new Date().toISOString()
+  };
+
+  state.files[path.normalize(targetPath)] = entry;
+  return entry;
+}
+
+export {
+  STATE_FILE_NAME,
+  getFileHash,
+  getHeadCommit,
+  hasUncommittedChanges,
+  getDefaultStatePath,
+  loadSyncState,
+  saveSyncState,
+  getBaseline,
+  recordBaseline,
+  getFrontmatterCommitKey,
+  isCommitSha,
+  readFrontmatterCommit,
+  writeFrontmatterCommit,
+  getBaselineCommit
+};
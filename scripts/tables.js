@@ -0,0 +1,156 @@
+/**
+ * GFM table comparison.
+ *
+ * Tables of a translation must keep the source's shape: the same number of
+ * tables, rows and columns per table, and the same alignment row
+ * (`| :--- | ---: |`). Cells that hold only code, numbers or URLs are not
+ * translatable and must be identical:
+ *
+ *   | Option   | Default | Docs                    |
+ *   | -------- | ------: | ----------------------- |
+ *   | `--port` | 8080    | https://example.com/cli |
+ *
+ * Tables are compared in document order.
+ */
+
+import { visit, toText } from './markdown.js';
+import { issueAt } from './findings.js';
+
+const NUMBER_PATTERN = /^[-+±]?\d[\d,._]*%?$/;
+const URL_PATTERN = /^(?:https?|ftp):\/\/\S+$|^mailto:\S+$/i;
+const SEPARATOR_PATTERN = /^[\s,;/|·-]*$/;
+
+/**
+ * Check whether a cell holds only code, numbers or URLs (with separators)
+ */
+function isLiteralCell(cell) {
+  let hasContent = false;
+
+  const literal = cell.children.every(child => {
+    if (child.type === 'inlineCode') {
+      hasContent = true;
+      return true;
+    }
+    if (child.type === 'link') {
+      // Autolinks and links whose text is the URL itself
+      hasContent = true;
+      const text = toText(child);
+      return text === child.url || `mailto:${text}` === child.url;
+    }
+    if (child.type === 'text') {
+      const value = child.value.trim();
+      if (SEPARATOR_PATTERN.test(value)) return true;
+      hasContent = true;
+      return value.split(/\s+/).every(word => NUMBER_PATTERN.test(word) || URL_PATTERN.test(word));
+    }
+    return false;
+  });
+
+  return literal && hasContent;
+}
+
+/**
+ * Normalized value of a cell (code spans keep their backticks)
+ */
+function getCellValue(cell) {
+  return cell.children
+    .map(child => {
+      if (child.type === 'inlineCode') return `\`${child.value}\``;
+      if (child.type === 'link') return child.url;
+      return toText(child);
+    })
+    .join('')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Tables of a parsed document
+ *
+ * Returns [{ line, column, rows, columns, align, cells }] where align lists each
+ * column's alignment (left, right, center or null) and cells[row][column] is
+ * { value, literal, line, column }.
+ */
+function extractTables(tree) {
+  const tables = [];
+
+  visit(tree, 'table', table => {
+    const cells = table.children.map(row => row.children.map(cell => ({
+      value: getCellValue(cell),
+      literal: isLiteralCell(cell),
+      line: cell.position?.start.line,
+      column: cell.position?.start.column
+    })));
+
+    tables.push({
+      line: table.position?.start.line,
+      column: table.position?.start.column,
+      rows: table.children.length,
+      columns: table.children[0]?.children.length || 0,
+      align: table.align || [],
+      cells
+    });
+  });
+
+  return tables;
+}
+
+/**
+ * Alignment row as written in markdown (`:---`, `---:`, `:---:`, `---`)
+ */
+function formatAlign(align) {
+  const markers = { left: ':---', right: '---:', center: ':---:' };
+  return `| ${align.map(a => markers[a] || '---').join(' | ')} |`;
+}
+
+/**
+ * Compare source and target tables
+ *
+ * Returns errors as { message, line, column } (target location), a plain
+ * message for a table count mismatch.
+ */
+function validateTables(sourceTables, targetTables) {
+  const errors = [];
+
+  if (sourceTables.length !== targetTables.length) {
+    errors.push(`Table count mismatch: source=${sourceTables.length}, target=${targetTables.length}`);
+    return errors;
+  }
+
+  sourceTables.forEach((src, index) => {
+    const tgt = targetTables[index];
+    const label = `Table ${index + 1}`;
+
+    if (src.rows !== tgt.rows) {
+      errors.push(issueAt(tgt, `${label} row count mismatch: source=${src.rows}, target=${tgt.rows} (target line ${tgt.line})`));
+    }
+    if (src.columns !== tgt.columns) {
+      errors.push(issueAt(tgt, `${label} column count mismatch: source=${src.columns}, target=${tgt.columns} (target line ${tgt.line})`));
+      return;
+    }
+
+    const srcAlign = formatAlign(src.align);
+    const tgtAlign = formatAlign(tgt.align);
+    if (srcAlign !== tgtAlign) {
+      errors.push(issueAt(tgt, `${label} alignment row changed: source=${srcAlign}, target=${tgtAlign} (target line ${tgt.line})`));
+    }
+
+    if (src.rows !== tgt.rows) return;
+
+    src.cells.forEach((row, r) => {
+      row.forEach((cell, c) => {
+        const tgtCell = tgt.cells[r]?.[c];
+        if (!cell.literal || !tgtCell || tgtCell.value === cell.value) return;
+        errors.push(issueAt(tgtCell, `${label} cell (row ${r + 1}, column ${c + 1}) should be identical: source="${cell.value}", target="${tgtCell.value}" (target line ${tgtCell.line})`));
+      });
+    });
+  });
+
+  return errors;
+}
+
+export {
+  isLiteralCell,
+  extractTables,
+  validateTables
+};
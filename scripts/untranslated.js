@@ -0,0 +1,189 @@
+/**
+ * Untranslated content detection.
+ *
+ * Source and target prose blocks (paragraphs, list items, table cells and
+ * blockquotes) are aligned in document order and the target is checked for
+ * blocks that were left in the source language:
+ *   - a block identical to its source counterpart (error)
+ *   - a block without any character of the target locale's script, e.g. no
+ *     Han for zh, no kana for ja, no Hangul for ko (warning)
+ *
+ * Code, inline code, URLs, preserved placeholders and no-translate terms are
+ * removed before comparing, and no-translate sections are skipped. Blocks
+ * with fewer than two words left (labels, names, numbers) are not checked.
+ */
+
+import { extractSections } from './markdown.js';
+import { compilePreservePatterns } from './preserve.js';
+import { splitCustomId } from './anchors.js';
+import { shouldNotTranslate } from './read-no-translate.js';
+import { issueAt } from './findings.js';
+
+// Script a translation into the locale is expected to use (by language subtag)
+const LOCALE_SCRIPTS = {
+  zh: { name: 'Han', pattern: /\p{Script=Han}/u },
+  ja: { name: 'kana', pattern: /[\p{Script=Hiragana}\p{Script=Katakana}]/u },
+  ko: { name: 'Hangul', pattern: /\p{Script=Hangul}/u }
+};
+
+const BLOCK_LABELS = {
+  paragraph: 'paragraph',
+  listItem: 'list item',
+  tableCell: 'table cell',
+  blockquote: 'blockquote'
+};
+
+const MIN_WORDS = 2;
+const EXCERPT_LENGTH = 50;
+
+/**
+ * Expected script of a locale ('zh-TW' → Han), or null if unknown
+ */
+function getLocaleScript(locale) {
+  if (!locale) return null;
+  return LOCALE_SCRIPTS[locale.toLowerCase().split(/[-_]/)[0]] || null;
+}
+
+/**
+ * Prose text of a node: text nodes only, nested lists left out
+ */
+function getBlockText(node) {
+  const parts = [];
+  const collect = current => {
+    if (current.type === 'text') {
+      parts.push(current.value);
+      return;
+    }
+    for (const child of current.children || []) {
+      if (child.type !== 'list') collect(child);
+    }
+  };
+  collect(node);
+  return parts.join(' ');
+}
+
+/**
+ * Prose blocks of a document in order: [{ type, text, line, column }]
+ *
+ * A list item or blockquote is one block (nested list items are blocks of
+ * their own); other paragraphs and table cells are blocks.
+ */
+function extractProseBlocks(tree) {
+  const blocks = [];
+
+  const walk = (node, inBlock) => {
+    const isBlock = node.type === 'listItem' || node.type === 'blockquote' || node.type === 'tableCell' ||
+      (node.type === 'paragraph' && !inBlock);
+    if (isBlock) {
+      blocks.push({ type: node.type, text: getBlockText(node), line: node.position?.start.line, column: node.position?.start.column });
+    }
+
+    for (const child of node.children || []) {
+      // Items of a nested list start new blocks
+      walk(child, child.type === 'list' ? false : inBlock || isBlock);
+    }
+  };
+  walk(tree, false);
+
+  return blocks;
+}
+
+/**
+ * Remove text that stays untranslated (URLs, placeholders, no-translate
+ * terms) and collapse whitespace
+ */
+function stripUntranslatable(text, patterns, noTranslate) {
+  let result = text.replace(/\b(?:https?|ftp|mailto):\S+/gi, ' ');
+
+  for (const pattern of patterns) {
+    pattern.lastIndex = 0;
+    result = result.replace(pattern, ' ');
+  }
+
+  for (const rule of noTranslate?.terms || []) {
+    if (!rule.text) continue;
+    const escaped = rule.text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    result = result.replace(new RegExp(`(?<![A-Za-z0-9_])${escaped}(?:e?s)?(?![A-Za-z0-9_])`, 'gi'), ' ');
+  }
+
+  return result.replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Line ranges of sections that are copied verbatim (no-translate sections)
+ */
+function getSkippedRanges(content, tree, noTranslate) {
+  if (!noTranslate || (noTranslate.sections || []).length === 0) return [];
+
+  return extractSections(content, { tree })
+    .filter(s => s.text !== null && shouldNotTranslate(splitCustomId(s.text).text, 'section', noTranslate).shouldSkip)
+    .map(s => [s.start + 1, s.end + 1]);
+}
+
+/**
+ * Shorten a block's text for messages
+ */
+function excerpt(text) {
+  return text.length > EXCERPT_LENGTH ? `${text.slice(0, EXCERPT_LENGTH)}…` : text;
+}
+
+/**
+ * Find target blocks that were left untranslated
+ *
+ * source and target are { content, tree } with tree from markdown.js.
+ *
+ * Options:
+ *   preservePatterns: extra placeholder regexes (see preserve.js)
+ *   noTranslate:      rules from .i18n/no-translate.yaml
+ *   minWords:         blocks with fewer words are not checked (default: 2)
+ *
+ * Returns { errors, warnings } as { message, line, column } (the target
+ * block). Nothing is checked when source and target
+ * locale are the same.
+ */
+function findUntranslatedBlocks(source, target, sourceLocale, targetLocale, options = {}) {
+  const errors = [];
+  const warnings = [];
+  if (!targetLocale || sourceLocale === targetLocale) return { errors, warnings };
+
+  const patterns = compilePreservePatterns(options.preservePatterns);
+  const prepare = doc => {
+    const skipped = getSkippedRanges(doc.content, doc.tree, options.noTranslate);
+    return extractProseBlocks(doc.tree)
+      .filter(b => !skipped.some(([start, end]) => b.line >= start && b.line <= end))
+      .map(b => ({ ...b, text: stripUntranslatable(b.text, patterns, options.noTranslate) }))
+      .map(b => ({ ...b, words: (b.text.match(/\p{L}+/gu) || []).length }));
+  };
+
+  const srcBlocks = prepare(source);
+  const tgtBlocks = prepare(target);
+  const aligned = srcBlocks.length === tgtBlocks.length;
+  const minWords = options.minWords ?? MIN_WORDS;
+  const srcTexts = new Set(srcBlocks.filter(b => b.words >= minWords).map(b => b.text));
+  const script = getLocaleScript(targetLocale);
+
+  tgtBlocks.forEach((block, index) => {
+    // Too short to judge
+    if (block.words < minWords) return;
+
+    // Compare with the counterpart when the block structure matches, else with any source block
+    const identical = aligned
+      ? srcBlocks[index].words >= minWords && srcBlocks[index].text === block.text
+      : srcTexts.has(block.text);
+
+    if (identical) {
+      errors.push(issueAt(block, `Untranslated ${BLOCK_LABELS[block.type]} (target line ${block.line}) is identical to the source: "${excerpt(block.text)}"`));
+    } else if (script && !script.pattern.test(block.text)) {
+      warnings.push(issueAt(block, `Possibly untranslated ${BLOCK_LABELS[block.type]} (target line ${block.line}) has no ${script.name} characters: "${excerpt(block.text)}"`));
+    }
+  });
+
+  return { errors, warnings };
+}
+
+export {
+  LOCALE_SCRIPTS,
+  getLocaleScript,
+  extractProseBlocks,
+  findUntranslatedBlocks
+};
@@ -3,34 +3,91 @@
  * Update translation plan status.
  *
  * Usage:
- *   node update-plan.js <plan_file> <source_file> <status> [--notes "note"]
+ *   node update-plan.js <plan_file> <source_file> <status> [--locale <code>] [--notes "note"] [--state <state_file>]
+ *
+ * Multi-locale plans (see plan.js) track each source file once per target
+ * locale; --locale selects which locale's status to update (and is an error
+ * for single-locale plans).
+ *
+ * Marking a file as done records its source hash and commit as the sync
+ * baseline in .i18n/sync-state.yaml (see sync-state.js), and in the target's
+ * frontmatter if `sync_state.frontmatter_key` is configured.
  *
  * Example:
  *   node update-plan.js translation-plan.yaml docs/en/guide.md done
  *   node update-plan.js translation-plan.yaml docs/en/faq.md in_progress --notes "50% complete"
+ *   node update-plan.js translation-plan.yaml docs/en/guide.md done --locale ja
  */
 
 import fs from 'fs/promises';
+import path from 'path';
 import yaml from 'js-yaml';
+import { loadConfig } from './config.js';
+import {
+  getDefaultStatePath,
+  loadSyncState,
+  saveSyncState,
+  recordBaseline,
+  getFrontmatterCommitKey,
+  writeFrontmatterCommit
+} from './sync-state.js';
+import { getPlanStatus, isMultiLocalePlan, summarizeMultiLocalePlan, dumpPlan } from './plan.js';
+import { parseArgs, isMainModule, runMain, UsageError, EXIT_OK, EXIT_USAGE } from './cli-args.js';
 
-async function updatePlan(planPath, sourceFile, newStatus, notes = null) {
+/**
+ * Update a file's status in a plan and write the plan back.
+ *
+ * Returns { plan, locale, completed, total, remaining, baseline }, where
+ * baseline is the recorded sync state entry (or null) and the counts are
+ * for the updated locale in multi-locale plans. Throws if the file is not
+ * in the plan.
+ *
+ * With frontmatterKey, the baseline commit is also written into the target
+ * file's frontmatter under that key (or the key removed when no commit was
+ * recorded, e.g. for a source with uncommitted changes). Warnings about the
+ * baseline go to log.
+ */
+async function updatePlan(planPath, sourceFile, newStatus, notes = null, statePath = null, locale = null, { frontmatterKey = null, log = () => {} } = {}) {
   const content = await fs.readFile(planPath, 'utf-8');
   const plan = yaml.load(content);
+  const multiLocale = isMultiLocalePlan(plan);
+  
+  if (multiLocale) {
+    const locales = plan.meta.target_locales;
+    if (!locale) {
+      throw new UsageError(`This plan tracks several locales (${locales.join(', ')}); pass --locale <code>`);
+    }
+    if (!locales.includes(locale)) {
+      throw new UsageError(`Locale not found in plan: ${locale} (available: ${locales.join(', ')})`);
+    }
+  } else if (locale) {
+    throw new UsageError(`--locale only applies to multi-locale plans (this plan targets ${plan.meta?.target_dir})`);
+  }
   
   // Find and update the file
   let found = false;
+  let baselineFile = null;
   for (const file of plan.files) {
     if (file.source === sourceFile || file.source.endsWith(sourceFile)) {
-      file.status = newStatus;
+      // Multi-locale plans keep status per locale
+      const entry = multiLocale ? file.locales[locale] : file;
+      if (!entry) break;
+      
+      entry.status = newStatus;
       if (notes !== null) {
-        file.notes = notes;
+        entry.notes = notes;
       }
       found = true;
+
+      if (newStatus === 'done' && file.source && entry.target) {
+        baselineFile = { source: file.source, target: entry.target };
+      }
       
       // Add log entry
       plan.log.push({
         time: new Date().toISOString(),
         file: file.source,
+        ...(multiLocale ? { locale } : {}),
         action: newStatus,
         notes: notes || ''
       });
@@ -40,54 +97,133 @@ async function updatePlan(planPath, sourceFile, newStatus, notes = null) {
   }
   
   if (!found) {
-    console.error(`File not found in plan: ${sourceFile}`);
-    process.exit(1);
+    throw new Error(`File not found in plan: ${sourceFile}${multiLocale ? ` (locale: ${locale})` : ''}`);
   }
   
   // Update summary
-  const completed = plan.files.filter(f => f.status === 'done').length;
-  const remaining = plan.files.length - completed;
-  
-  plan.summary.completed = completed;
-  plan.summary.remaining = remaining;
-  plan.meta.status = remaining === 0 ? 'completed' : 'in_progress';
+  let completed, total;
+  if (multiLocale) {
+    plan.summary = summarizeMultiLocalePlan(plan.files, plan.meta.target_locales);
+    plan.meta.status = getPlanStatus(plan.summary.completed, plan.summary.total);
+    ({ completed, total } = plan.summary.locales[locale]);
+  } else {
+    completed = plan.files.filter(f => f.status === 'done').length;
+    total = plan.files.length;
+    
+    plan.summary.completed = completed;
+    plan.summary.remaining = total - completed;
+    plan.meta.status = total - completed === 0 ? 'completed' : 'in_progress';
+  }
+  const remaining = total - completed;
   
   // Write back
-  const yamlContent = yaml.dump(plan, {
-    indent: 2,
-    lineWidth: -1,
-    noRefs: true
-  });
-  
-  await fs.writeFile(planPath, yamlContent, 'utf-8');
-  console.log(`Updated: ${sourceFile} → ${newStatus}`);
-  console.log(`Progress: ${completed}/${plan.files.length} (${remaining} remaining)`);
-}
+  await fs.writeFile(planPath, dumpPlan(plan), 'utf-8');
 
-// Parse arguments
-const args = process.argv.slice(2);
-let planPath, sourceFile, status, notes = null;
-
-for (let i = 0; i < args.length; i++) {
-  if (args[i] === '--notes' || args[i] === '-n') {
-    notes = args[++i];
-  } else if (!planPath) {
-    planPath = args[i];
-  } else if (!sourceFile) {
-    sourceFile = args[i];
-  } else if (!status) {
-    status = args[i];
+  // Record the source this translation now corresponds to
+  let baseline = null;
+  if (baselineFile) {
+    const finalStatePath = statePath || plan.meta?.sync_state || getDefaultStatePath(path.dirname(planPath));
+    const syncState = await loadSyncState(finalStatePath);
+    const entry = await recordBaseline(syncState, baselineFile.source, baselineFile.target, { log });
+
+    if (entry) {
+      await saveSyncState(finalStatePath, syncState);
+      baseline = { target: baselineFile.target, ...entry };
+      if (frontmatterKey) {
+        await writeFrontmatterCommit(baselineFile.target, frontmatterKey, entry.source_commit);
+      }
+    } else {
+      log(`Warning: could not read ${baselineFile.source}, baseline not recorded`);
+    }
   }
+
+  return {
+    plan,
+    locale: multiLocale ? locale : null,
+    completed,
+    total,
+    remaining,
+    baseline
+  };
 }
 
-if (!planPath || !sourceFile || !status) {
-  console.log('Usage: node update-plan.js <plan_file> <source_file> <status> [--notes "note"]');
+const OPTIONS = {
+  notes: { alias: 'n', type: 'string' },
+  locale: { alias: 'l', type: 'string' },
+  state: { type: 'string' },
+  config: { type: 'string' }
+};
+
+const STATUS_VALUES = ['pending', 'in_progress', 'done', 'skipped', 'needs_update', 'deleted'];
+
+function printUsage() {
+  console.log('Usage: node update-plan.js <plan_file> <source_file> <status> [--locale <code>] [--notes "note"] [--state <file>]');
+  console.log('');
+  console.log(`Status values: ${STATUS_VALUES.join(', ')}`);
+  console.log('');
+  console.log('Options:');
+  console.log('  --locale, -l     Locale to update (required for multi-locale plans)');
+  console.log('  --notes, -n      Notes to store with the file');
+  console.log('  --state          Custom sync state path');
+  console.log('  --config         Project config file (default: .i18n/config.yaml)');
+  console.log('  --help, -h       Show this help message');
   console.log('');
-  console.log('Status values: pending, in_progress, done, skipped');
+  console.log('Marking a file done records its sync baseline in <plan_dir>/sync-state.yaml');
+  console.log('(or the path given by --state / the plan\'s meta.sync_state), and in the target\'s');
+  console.log('frontmatter when sync_state.frontmatter_key is set in .i18n/config.yaml.');
   console.log('');
   console.log('Example:');
   console.log('  node update-plan.js translation-plan.yaml docs/en/guide.md done');
-  process.exit(1);
+  console.log('  node update-plan.js translation-plan.yaml docs/en/guide.md done --locale ja');
+}
+
+async function main() {
+  const { values, positionals, help } = parseArgs(process.argv.slice(2), OPTIONS);
+
+  if (help) {
+    printUsage();
+    return EXIT_OK;
+  }
+
+  if (positionals.length > 3) {
+    throw new UsageError(`Unexpected argument: ${positionals[3]}`);
+  }
+
+  const [planPath, sourceFile, status] = positionals;
+
+  if (!planPath || !sourceFile || !status) {
+    printUsage();
+    return EXIT_USAGE;
+  }
+
+  if (!STATUS_VALUES.includes(status)) {
+    throw new UsageError(`Invalid status: ${status} (expected one of ${STATUS_VALUES.join(', ')})`);
+  }
+
+  const config = await loadConfig({ configPath: values.config });
+  const result = await updatePlan(planPath, sourceFile, status, values.notes, values.state, values.locale, {
+    frontmatterKey: getFrontmatterCommitKey(config),
+    log: message => console.warn(message)
+  });
+  const { plan, locale, completed, total, remaining, baseline } = result;
+
+  if (baseline) {
+    const commit = baseline.source_commit ? `, commit ${baseline.source_commit.slice(0, 8)}` : '';
+    console.log(`Baseline recorded: ${baseline.target} ← ${baseline.source} (${baseline.source_hash.slice(0, 8)}${commit})`);
+  }
+
+  if (locale) {
+    console.log(`Updated: ${sourceFile} [${locale}] → ${status}`);
+    console.log(`Progress (${locale}): ${completed}/${total} (${remaining} remaining)`);
+    console.log(`Overall: ${plan.summary.completed}/${plan.summary.total} (${plan.summary.remaining} remaining)`);
+  } else {
+    console.log(`Updated: ${sourceFile} → ${status}`);
+    console.log(`Progress: ${completed}/${total} (${remaining} remaining)`);
+  }
+}
+
+if (isMainModule(import.meta.url)) {
+  runMain(main);
 }
 
-updatePlan(planPath, sourceFile, status, notes);
+export { STATUS_VALUES, updatePlan };
@@ -0,0 +1,170 @@
+/**
+ * On-disk cache of validation results for validate.js --dir.
+ *
+ * Results are stored per file pair and reused while the pair is unchanged:
+ *
+ *   - the source and target contents (sha256)
+ *   - the context: tool version, project config, no-translate rules, locales
+ *     and the two directories
+ *   - the other target files a cross-file `page#fragment` link was checked
+ *     against, recorded with their hashes as dependencies
+ *   - the routes the file's internal links resolved to, recorded with the
+ *     page each resolved to (so adding, removing or renaming a page only
+ *     re-checks the files linking to it)
+ *
+ * Format (.i18n/cache/validate.json, not meant to be committed):
+ *
+ *   {
+ *     "version": 3,
+ *     "context": "<sha256>",
+ *     "entries": {
+ *       "guide.md": {
+ *         "source": "<sha256>", "target": "<sha256>",
+ *         "dependencies": { "docs/zh/api.md": "<sha256>" },
+ *         "routes": { "target:/api": "api.md", "source:/faq": null },
+ *         "result": { "passed": true, ... }
+ *       }
+ *     }
+ *   }
+ *
+ * A cache written for another context is discarded as a whole. Entries of
+ * files that were not validated in a run are dropped when it is saved.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { createHash } from 'crypto';
+
+const CACHE_VERSION = 3;
+const CACHE_FILE = path.join('cache', 'validate.json');
+
+const PACKAGE_JSON = new URL('../package.json', import.meta.url);
+
+/**
+ * sha256 of a string
+ */
+function hashContent(content) {
+  return createHash('sha256').update(content).digest('hex');
+}
+
+/**
+ * sha256 of a file's content, or null if it cannot be read
+ */
+async function hashFile(filePath) {
+  try {
+    return hashContent(await fs.readFile(filePath));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Default cache location inside an .i18n directory
+ */
+function getDefaultCachePath(i18nDir) {
+  return path.join(i18nDir, CACHE_FILE);
+}
+
+/**
+ * Hash everything besides the file pair that validation results depend on
+ *
+ * parts is any JSON-serializable value (Maps are serialized as entry lists).
+ * The tool version is included so upgrades start from an empty cache.
+ */
+async function createCacheContext(parts) {
+  let version = null;
+  try {
+    version = JSON.parse(await fs.readFile(PACKAGE_JSON, 'utf-8')).version;
+  } catch {
+    // Running outside the package: the cache still works within one version
+  }
+
+  const json = JSON.stringify({ version, parts }, (key, value) => (value instanceof Map ? [...value] : value));
+  return hashContent(json);
+}
+
+/**
+ * Load the cache for a context
+ *
+ * Returns { path, context, entries, used }. A missing, unreadable or
+ * outdated cache file gives an empty cache.
+ */
+async function loadValidationCache(cachePath, context) {
+  const cache = { path: cachePath, context, entries: {}, used: new Set() };
+
+  try {
+    const data = JSON.parse(await fs.readFile(cachePath, 'utf-8'));
+    if (data?.version === CACHE_VERSION && data.context === context && data.entries) {
+      cache.entries = data.entries;
+    }
+  } catch {
+    // Start from an empty cache
+  }
+
+  return cache;
+}
+
+/**
+ * Cached result of a file pair, or null if it has to be validated again
+ *
+ * routeMaps is { source, target } (see routes.js), checked against the
+ * routes the entry recorded.
+ */
+async function getCachedResult(cache, relPath, sourceHash, targetHash, routeMaps = null) {
+  const entry = cache.entries[relPath];
+  if (!entry || entry.source !== sourceHash || entry.target !== targetHash) return null;
+
+  for (const [file, hash] of Object.entries(entry.dependencies || {})) {
+    if (await hashFile(file) !== hash) return null;
+  }
+
+  for (const [key, file] of Object.entries(entry.routes || {})) {
+    const separator = key.indexOf(':');
+    const routeMap = routeMaps?.[key.slice(0, separator)];
+    if (!routeMap || (routeMap.routes.get(key.slice(separator + 1)) || null) !== file) return null;
+  }
+
+  cache.used.add(relPath);
+  return entry.result;
+}
+
+/**
+ * Store the result of a file pair
+ *
+ * dependencies lists the other files the result depends on; their current
+ * hashes are recorded. routes maps the routes the result looked up
+ * (`target:/route`, `source:/route`) to the file each resolved to.
+ */
+async function setCachedResult(cache, relPath, sourceHash, targetHash, result, dependencies = [], routes = {}) {
+  const hashes = {};
+  for (const file of [...dependencies].sort()) {
+    hashes[file] = await hashFile(file);
+  }
+
+  cache.entries[relPath] = { source: sourceHash, target: targetHash, dependencies: hashes, routes, result };
+  cache.used.add(relPath);
+}
+
+/**
+ * Write the entries used in this run back to disk
+ */
+async function saveValidationCache(cache) {
+  const entries = {};
+  for (const relPath of [...cache.used].sort()) {
+    entries[relPath] = cache.entries[relPath];
+  }
+
+  await fs.mkdir(path.dirname(cache.path), { recursive: true });
+  await fs.writeFile(cache.path, JSON.stringify({ version: CACHE_VERSION, context: cache.context, entries }), 'utf-8');
+}
+
+export {
+  hashContent,
+  hashFile,
+  getDefaultCachePath,
+  createCacheContext,
+  loadValidationCache,
+  getCachedResult,
+  setCachedResult,
+  saveValidationCache
+};
@@ -0,0 +1,36 @@
+/**
+ * Worker thread for validate.js --dir --jobs N.
+ *
+ * Started with workerData { config, options } (the shared validateFiles
+ * options: noTranslate, targetRoot, routes). Validates one file pair per
+ * message:
+ *
+ *   → { id, sourcePath, targetPath, sourceLocale, targetLocale }
+ *   ← { id, result, dependencies, routeLookups } or { id, error }
+ *
+ * dependencies lists the other files cross-file fragment links were checked
+ * against, routeLookups the routes internal links resolved to (see
+ * validate-cache.js).
+ */
+
+import { parentPort, workerData } from 'worker_threads';
+import { validateFiles } from './validate.js';
+
+const { config, options } = workerData;
+const anchorCache = new Map();
+
+parentPort.on('message', async task => {
+  try {
+    const dependencies = new Set();
+    const routeLookups = new Map();
+    const result = await validateFiles(task.sourcePath, task.targetPath, task.sourceLocale, task.targetLocale, config, {
+      ...options,
+      anchorCache,
+      dependencies,
+      routeLookups
+    });
+    parentPort.postMessage({ id: task.id, result, dependencies: [...dependencies], routeLookups: Object.fromEntries(routeLookups) });
+  } catch (err) {
+    parentPort.postMessage({ id: task.id, error: err.message });
+  }
+});
@@ -4,18 +4,75 @@
  *
  * Usage:
  *   node validate.js <source.md> <target.md> [--source-locale en] [--target-locale zh]
- *   node validate.js --dir <source_dir> <target_dir> [--source-locale en] [--target-locale zh]
+ *   node validate.js --dir [source_dir] [target_dir] [--source-locale en] [--target-locale zh]
+ *   node validate.js --dir docs/en docs/zh --format sarif|junit|github|json
+ *   node validate.js --dir docs/en docs/zh --fix [--dry-run]
+ *   node validate.js --dir docs/en docs/zh --jobs auto --cache
+ *
+ * Locales, link prefixes and (in --dir mode) directories default to the
+ * project config (.i18n/config.yaml, see config.js). Locales not given either
+ * way are auto-detected from the paths.
+ *
+ * Documents are parsed as CommonMark + GFM (MDX for .mdx files), see markdown.js.
  *
  * Checks:
- * - Structure match (headings, code blocks, lists)
+ * - Structure match (headings, code blocks, lists, tables)
+ * - Table shape and alignment kept, code/number/URL-only cells unchanged (see tables.js)
  * - Link integrity and localization
  * - Code block preservation
- * - Frontmatter key match
+ * - Inline code, {{placeholders}} and $VARIABLES preserved (plus preserve_patterns)
+ * - No-translate headings, terms, sections and URLs kept (.i18n/no-translate.yaml)
+ * - Prose actually translated: no blocks identical to the source or without
+ *   the target script (see untranslated.js)
+ * - Frontmatter match: nested keys and value types, `preserve` keys unchanged,
+ *   `translate` keys translated (see frontmatter.js)
  * - Internal link locale prefixes
+ * - `#fragment` links resolve to a heading anchor (in-page and `/zh/page#fragment`),
+ *   explicit `{#custom-id}` anchors are kept
+ * - MDX imports/exports, expressions, components, nesting and non-translatable
+ *   props unchanged (see mdx.js)
+ * - In --dir mode, internal links point at pages that exist in the target tree
+ *   (route rules in .i18n/config.yaml, see routes.js)
+ * - In --dir mode, every target file has a source: orphans, likely renames or
+ *   typos, and case-only name mismatches (see orphans.js)
  */
 
 import fs from 'fs/promises';
 import path from 'path';
+import os from 'os';
+import { Worker } from 'worker_threads';
+import { loadConfig, resolveConfigPath, getSourceDir, getTargetDir, getLinkPrefix, DEFAULT_CONFIG } from './config.js';
+import { isMdxPath, parseMarkdown, extractStructure } from './markdown.js';
+import { validatePreservedTokens } from './preserve.js';
+import { extractTables, validateTables } from './tables.js';
+import { getFrontmatterRules, validateFrontmatter } from './frontmatter.js';
+import { getTranslatableProps, validateMdx } from './mdx.js';
+import { getAnchors, validateFragmentLinks, validateCustomIds, validateCrossFileFragments } from './anchors.js';
+import { getRouteRules, buildRouteMap, validateInternalLinks } from './routes.js';
+import { findOrphanTargets } from './orphans.js';
+import { findUntranslatedBlocks } from './untranslated.js';
+import { readNoTranslateConfig, shouldNotTranslate, findNoTranslateViolations } from './read-no-translate.js';
+import {
+  issueAt,
+  toFindings,
+  summarizeFindings,
+  getRuleSettings,
+  getRuleOption,
+  findSuppressions,
+  applyRuleSettings
+} from './findings.js';
+import { toSarif, toJUnit, toGitHubAnnotations } from './report.js';
+import { fixTarget, createUnifiedDiff } from './fix.js';
+import {
+  hashFile,
+  getDefaultCachePath,
+  createCacheContext,
+  loadValidationCache,
+  getCachedResult,
+  setCachedResult,
+  saveValidationCache
+} from './validate-cache.js';
+import { parseArgs, isMainModule, runMain, UsageError, EXIT_OK, EXIT_FAILURE } from './cli-args.js';
 
 /**
  * Detect locale from directory path
@@ -26,12 +83,17 @@ function detectLocaleFromPath(filePath) {
 }
 
 /**
- * Parse locale from command line args or auto-detect from paths
+ * Parse locale from command line args, the project config, or auto-detect from paths
  */
-function parseLocales(sourcePath, targetPath, options) {
-  let sourceLocale = options.sourceLocale;
+function parseLocales(sourcePath, targetPath, options, config = DEFAULT_CONFIG) {
+  let sourceLocale = options.sourceLocale || config.source_locale;
   let targetLocale = options.targetLocale;
 
+  // A single configured target locale is unambiguous
+  if (!targetLocale && config.target_locales.length === 1) {
+    targetLocale = config.target_locales[0];
+  }
+
   // Auto-detect from paths if not specified
   if (!sourceLocale) {
     sourceLocale = detectLocaleFromPath(sourcePath);
@@ -43,16 +105,6 @@ function parseLocales(sourcePath, targetPath, options) {
   return { sourceLocale, targetLocale };
 }
 
-/**
- * Extract all links from markdown content
- */
-function extractLinks(content) {
-  return [...content.matchAll(/\[([^\]]+)\]\(([^)]+)\)/g)].map(m => ({
-    text: m[1],
-    url: m[2]
-  }));
-}
-
 /**
  * Check if URL is an internal site link
  */
@@ -71,9 +123,17 @@ function isExternalLink(url) {
 
 /**
  * Validate link localization
+ *
+ * linkPrefixes maps { source, target } to the internal link prefix of each
+ * locale (default: /<locale>, configurable via `link_prefix`).
+ *
+ * Returns warnings as { message, line, column } at the target link, or plain
+ * messages for missing links without a counterpart.
  */
-function validateLinkLocalization(sourceLinks, targetLinks, sourceLocale, targetLocale) {
+function validateLinkLocalization(sourceLinks, targetLinks, sourceLocale, targetLocale, linkPrefixes = {}) {
   const warnings = [];
+  const sourcePrefix = linkPrefixes.source ?? `/${sourceLocale}`;
+  const targetPrefix = linkPrefixes.target ?? `/${targetLocale}`;
 
   // Build lookup maps
   const srcLinksMap = new Map(sourceLinks.map(l => [l.url, l]));
@@ -87,16 +147,16 @@ function validateLinkLocalization(sourceLinks, targetLinks, sourceLocale, target
       // Internal link should be localized
       if (targetLocale) {
         // Check if link starts with target locale prefix
-        const expectedPrefix = `/${targetLocale}/`;
-        const hasLocalePrefix = url.startsWith(expectedPrefix) || url.startsWith(`/${targetLocale}?`);
+        const expectedPrefix = `${targetPrefix}/`;
+        const hasLocalePrefix = url.startsWith(expectedPrefix) || url.startsWith(`${targetPrefix}?`);
 
         // Check if it still has source locale prefix (wrong!)
-        if (sourceLocale && url.startsWith(`/${sourceLocale}/`)) {
-          warnings.push(`Link still uses source locale: "${url}" (should use /${targetLocale}/)`);
+        if (sourceLocale && url.startsWith(`${sourcePrefix}/`)) {
+          warnings.push(issueAt(tgtLink, `Link still uses source locale: "${url}" (should use ${targetPrefix}/)`));
         }
         // Check if it's missing locale prefix
         else if (!hasLocalePrefix && !url.match(/^\/[a-z]{2}\//)) {
-          warnings.push(`Internal link missing locale prefix: "${url}" (should be /${targetLocale}${url})`);
+          warnings.push(issueAt(tgtLink, `Internal link missing locale prefix: "${url}" (should be ${targetPrefix}${url})`));
         }
       }
     } else if (isExternalLink(url)) {
@@ -104,23 +164,24 @@ function validateLinkLocalization(sourceLinks, targetLinks, sourceLocale, target
       const srcLink = srcLinksMap.get(url);
       if (!srcLink) {
         // External link in target but not in source - might be OK, just info
-        warnings.push(`External link in target not in source: "${url}" (verify if correct)`);
+        warnings.push(issueAt(tgtLink, `External link in target not in source: "${url}" (verify if correct)`));
       }
     }
   }
 
-  // Check for missing links
-  for (const srcLink of sourceLinks) {
+  // Check for missing links (located at the counterpart link when the link structure matches)
+  sourceLinks.forEach((srcLink, index) => {
     const url = srcLink.url;
+    const counterpart = sourceLinks.length === targetLinks.length ? targetLinks[index] : null;
 
     if (isInternalLink(url) && sourceLocale && targetLocale) {
       // Build expected target URL
       let expectedTargetUrl;
-      if (url.startsWith(`/${sourceLocale}/`)) {
-        expectedTargetUrl = url.replace(`/${sourceLocale}/`, `/${targetLocale}/`);
+      if (url.startsWith(`${sourcePrefix}/`)) {
+        expectedTargetUrl = url.replace(`${sourcePrefix}/`, `${targetPrefix}/`);
       } else if (!url.match(/^\/[a-z]{2}\//)) {
         // No locale prefix, add target locale
-        expectedTargetUrl = `/${targetLocale}${url}`;
+        expectedTargetUrl = `${targetPrefix}${url}`;
       } else {
         expectedTargetUrl = url;
       }
@@ -128,108 +189,163 @@ function validateLinkLocalization(sourceLinks, targetLinks, sourceLocale, target
       // Check if corresponding localized link exists in target
       const hasLocalized = targetLinks.some(t => t.url === expectedTargetUrl);
       if (!hasLocalized) {
-        warnings.push(`Missing localized link in target: source="${url}" → expected target="${expectedTargetUrl}"`);
+        const message = `Missing localized link in target: source="${url}" → expected target="${expectedTargetUrl}"`;
+        warnings.push(counterpart ? issueAt(counterpart, message) : message);
       }
     }
-  }
+  });
 
   return warnings;
 }
 
-function extractStructure(content) {
-  return {
-    headings: [...content.matchAll(/^(#{1,6})\s+(.+)$/gm)].map(m => [m[1], m[2]]),
-    codeBlocks: [...content.matchAll(/```(\w*)\n([\s\S]*?)```/g)].map(m => [m[1], m[2]]),
-    links: extractLinks(content),
-    listItems: [...content.matchAll(/^[-*]\s+(.+)$/gm)].map(m => m[1]),
-    frontmatter: extractFrontmatterKeys(content)
-  };
-}
-
-function extractFrontmatterKeys(content) {
-  const match = content.match(/^---\n([\s\S]*?)\n---/);
-  if (!match) return {};
-
-  const keys = {};
-  for (const line of match[1].split('\n')) {
-    const colonIdx = line.indexOf(':');
-    if (colonIdx > 0) {
-      const key = line.slice(0, colonIdx).trim();
-      keys[key] = true;
-    }
+/**
+ * Parse a document, reporting MDX syntax errors instead of throwing
+ *
+ * Returns the extracted structure with the syntax tree as `tree`.
+ */
+function parseStructure(content, label, options, errors) {
+  try {
+    const tree = parseMarkdown(content, options);
+    return { ...extractStructure(content, { tree }), tree };
+  } catch (err) {
+    // Only target locations are reported
+    const location = label === 'target' ? { line: err.line ?? null, column: err.column ?? null } : { line: null, column: null };
+    errors.push({ message: `Could not parse ${label}: ${err.message}`, ...location });
+    return null;
   }
-  return keys;
 }
 
-function validatePair(source, target, sourceLocale, targetLocale) {
-  const errors = [];
-  const warnings = [];
-
-  const src = extractStructure(source);
-  const tgt = extractStructure(target);
+/**
+ * Validate a translated document against its source
+ *
+ * Options:
+ *   linkPrefixes:     { source, target } internal link prefixes
+ *   mdx:              parse both documents as MDX
+ *   preservePatterns: extra regexes for tokens that must stay unchanged
+ *   noTranslate:      rules from .i18n/no-translate.yaml (see read-no-translate.js)
+ *   frontmatter:      { preserve, translate, ignore } key lists (see frontmatter.js)
+ *   translatableProps: MDX component props that may be translated (see mdx.js)
+ *   rules:            per-rule severities and thresholds (see findings.js)
+ *
+ * `i18n-disable-next-line` comments in the target suppress findings; they are
+ * listed in the result's `suppressed`.
+ */
+function validatePair(source, target, sourceLocale, targetLocale, options = {}) {
+  const findings = [];
+  const localeInfo = { sourceLocale, targetLocale };
+  const report = (rule, severity, issues) => findings.push(...toFindings(rule, severity, issues));
+
+  const parseOptions = { mdx: Boolean(options.mdx) };
+  const parseErrors = [];
+  const src = parseStructure(source, 'source', parseOptions, parseErrors);
+  const tgt = parseStructure(target, 'target', parseOptions, parseErrors);
+  report('parse-error', 'error', parseErrors);
+
+  if (!src || !tgt) {
+    return summarizeFindings(findings, localeInfo);
+  }
+  const suppressions = findSuppressions(tgt.tree);
 
   // Check heading count
   if (src.headings.length !== tgt.headings.length) {
-    errors.push(`Heading count mismatch: source=${src.headings.length}, target=${tgt.headings.length}`);
+    report('heading-count', 'error', [`Heading count mismatch: source=${src.headings.length}, target=${tgt.headings.length}`]);
   }
 
   // Check code blocks preserved exactly
   if (src.codeBlocks.length !== tgt.codeBlocks.length) {
-    errors.push(`Code block count mismatch: source=${src.codeBlocks.length}, target=${tgt.codeBlocks.length}`);
+    report('code-block', 'error', [`Code block count mismatch: source=${src.codeBlocks.length}, target=${tgt.codeBlocks.length}`]);
   } else {
     for (let i = 0; i < src.codeBlocks.length; i++) {
-      const [srcLang, srcCode] = src.codeBlocks[i];
-      const [tgtLang, tgtCode] = tgt.codeBlocks[i];
+      const srcBlock = src.codeBlocks[i];
+      const tgtBlock = tgt.codeBlocks[i];
 
-      if (srcLang !== tgtLang) {
-        errors.push(`Code block ${i + 1} language mismatch: source='${srcLang}', target='${tgtLang}'`);
+      if (srcBlock.lang !== tgtBlock.lang) {
+        report('code-block', 'error', [issueAt(tgtBlock, `Code block ${i + 1} language mismatch: source='${srcBlock.lang}', target='${tgtBlock.lang}' (target line ${tgtBlock.line})`)]);
       }
 
-      if (srcCode.trim() !== tgtCode.trim()) {
-        errors.push(`Code block ${i + 1} content changed (should be identical)`);
+      if (srcBlock.value.trim() !== tgtBlock.value.trim()) {
+        report('code-block', 'error', [issueAt(tgtBlock, `Code block ${i + 1} content changed (should be identical, target line ${tgtBlock.line})`)]);
       }
     }
   }
 
-  // Check link count
-  if (src.links.length !== tgt.links.length) {
-    warnings.push(`Link count mismatch: source=${src.links.length}, target=${tgt.links.length}`);
-  }
+  // Check tables keep their shape and literal cells
+  report('table', 'error', validateTables(extractTables(src.tree), extractTables(tgt.tree)));
 
-  // Validate link localization
-  if (sourceLocale || targetLocale) {
-    const linkWarnings = validateLinkLocalization(src.links, tgt.links, sourceLocale, targetLocale);
-    warnings.push(...linkWarnings);
+  // Check MDX imports, expressions and components survived
+  if (options.mdx) {
+    report('mdx', 'error', validateMdx(src.tree, tgt.tree, options.translatableProps));
   }
 
-  // Check frontmatter keys
-  const srcKeys = new Set(Object.keys(src.frontmatter));
-  const tgtKeys = new Set(Object.keys(tgt.frontmatter));
+  // Check custom heading ids are kept and in-page #fragment links resolve
+  const srcAnchors = getAnchors(src.tree);
+  const tgtAnchors = getAnchors(tgt.tree);
+  report('custom-id', 'error', validateCustomIds(srcAnchors, tgtAnchors));
+  report('fragment-link', 'error', validateFragmentLinks(tgt.links, tgtAnchors, srcAnchors));
 
-  const missing = [...srcKeys].filter(k => !tgtKeys.has(k));
-  const extra = [...tgtKeys].filter(k => !srcKeys.has(k));
+  // Check inline code, placeholders and variables are preserved
+  report('preserved-token', 'error', validatePreservedTokens(src.tree, tgt.tree, options.preservePatterns));
 
-  if (missing.length > 0) {
-    errors.push(`Missing frontmatter keys: ${missing.join(', ')}`);
+  // Check link count
+  if (Math.abs(src.links.length - tgt.links.length) > getRuleOption(options.rules, 'link-count', 'tolerance', 0)) {
+    report('link-count', 'warning', [`Link count mismatch: source=${src.links.length}, target=${tgt.links.length}`]);
   }
-  if (extra.length > 0) {
-    warnings.push(`Extra frontmatter keys: ${extra.join(', ')}`);
+
+  // Validate link localization (links matching no-translate URL patterns stay as they are)
+  if (sourceLocale || targetLocale) {
+    const isLocalized = link => !shouldNotTranslate(link.url, 'url', options.noTranslate).shouldSkip;
+    const linkWarnings = validateLinkLocalization(
+      src.links.filter(isLocalized),
+      tgt.links.filter(isLocalized),
+      sourceLocale,
+      targetLocale,
+      options.linkPrefixes
+    );
+    report('link-localization', 'warning', linkWarnings);
   }
 
-  // Check list item count
-  if (Math.abs(src.listItems.length - tgt.listItems.length) > 2) {
-    warnings.push(`List item count differs significantly: source=${src.listItems.length}, target=${tgt.listItems.length}`);
+  // Check no-translate headings, terms, sections and URLs were kept
+  if (options.noTranslate) {
+    const violations = findNoTranslateViolations(
+      { content: source, tree: src.tree },
+      { content: target, tree: tgt.tree },
+      options.noTranslate
+    );
+    report('no-translate', 'error', violations.errors);
+    report('no-translate', 'warning', violations.warnings);
   }
 
-  return {
-    passed: errors.length === 0,
-    errors,
-    warnings,
-    localeInfo: {
-      sourceLocale,
-      targetLocale
+  // Check paragraphs, list items, table cells and blockquotes were translated
+  const untranslated = findUntranslatedBlocks(
+    { content: source, tree: src.tree },
+    { content: target, tree: tgt.tree },
+    sourceLocale,
+    targetLocale,
+    {
+      preservePatterns: options.preservePatterns,
+      noTranslate: options.noTranslate,
+      minWords: getRuleOption(options.rules, 'untranslated', 'min_words', undefined)
     }
-  };
+  );
+  report('untranslated', 'error', untranslated.errors);
+  report('untranslated', 'warning', untranslated.warnings);
+
+  // Check frontmatter paths, preserved and translated values
+  // (translated values only when translating into another locale)
+  const frontmatterRules = options.frontmatter || getFrontmatterRules();
+  const frontmatter = validateFrontmatter(src.tree, tgt.tree, targetLocale && sourceLocale !== targetLocale
+    ? frontmatterRules
+    : { ...frontmatterRules, translate: [] });
+  report('frontmatter', 'error', frontmatter.errors);
+  report('frontmatter', 'warning', frontmatter.warnings);
+
+  // Check list item count
+  if (Math.abs(src.listItems.length - tgt.listItems.length) > getRuleOption(options.rules, 'list-items', 'tolerance', 2)) {
+    report('list-items', 'warning', [`List item count differs significantly: source=${src.listItems.length}, target=${tgt.listItems.length}`]);
+  }
+
+  const applied = applyRuleSettings(findings, options.rules, suppressions);
+  return summarizeFindings(applied.findings, localeInfo, applied.suppressed);
 }
 
 async function findMarkdownFiles(dir, baseDir = dir) {
@@ -248,31 +364,217 @@ async function findMarkdownFiles(dir, baseDir = dir) {
   return files.sort();
 }
 
-async function validateFiles(sourcePath, targetPath, sourceLocale, targetLocale) {
-  const source = await fs.readFile(sourcePath, 'utf-8');
-  const target = await fs.readFile(targetPath, 'utf-8');
+/**
+ * Load the no-translate rules of the project config's .i18n directory
+ */
+async function loadNoTranslateRules(config) {
+  return config.i18nDir ? readNoTranslateConfig(config.i18nDir) : null;
+}
 
-  // Auto-detect locales if not provided
+/**
+ * Find the root of a locale's document tree from a file inside it
+ *
+ * Uses the configured target_dir, else the path up to the locale segment
+ * (docs/zh/guide/intro.md → docs/zh).
+ */
+function findLocaleRoot(filePath, locale, config) {
+  if (!locale) return null;
+
+  const configured = getTargetDir(config, locale);
+  if (configured && !path.relative(configured, filePath).startsWith('..')) {
+    return configured;
+  }
+
+  const parts = path.dirname(filePath).split(path.sep);
+  const index = parts.lastIndexOf(locale);
+  return index === -1 ? null : parts.slice(0, index + 1).join(path.sep) || path.sep;
+}
+
+/**
+ * Fall back to config, then auto-detect locales if not provided
+ */
+function resolveLocales(sourcePath, targetPath, sourceLocale, targetLocale, config) {
   if (!sourceLocale || !targetLocale) {
-    const detected = parseLocales(sourcePath, targetPath, { sourceLocale, targetLocale });
+    const detected = parseLocales(sourcePath, targetPath, { sourceLocale, targetLocale }, config);
     sourceLocale = detected.sourceLocale || sourceLocale;
     targetLocale = detected.targetLocale || targetLocale;
   }
+  return { sourceLocale, targetLocale };
+}
 
-  return validatePair(source, target, sourceLocale, targetLocale);
+/**
+ * Validate a target file against its source file
+ *
+ * Options:
+ *   noTranslate: overrides the no-translate rules read from the project's .i18n directory
+ *   targetRoot:  root of the target locale's tree, for cross-file `/zh/page#fragment`
+ *                links (default: detected from targetPath)
+ *   anchorCache: anchors of already parsed files, shared between calls
+ *   routes:      { source, target } route maps (see routes.js); when given,
+ *                internal links must point at existing target pages
+ *   dependencies: Set collecting the other files cross-file links were checked against
+ *   routeLookups: Map collecting the routes internal links resolved to (see routes.js)
+ */
+async function validateFiles(sourcePath, targetPath, sourceLocale, targetLocale, config = DEFAULT_CONFIG, options = {}) {
+  const noTranslate = options.noTranslate !== undefined ? options.noTranslate : await loadNoTranslateRules(config);
+  const source = await fs.readFile(sourcePath, 'utf-8');
+  const target = await fs.readFile(targetPath, 'utf-8');
+
+  ({ sourceLocale, targetLocale } = resolveLocales(sourcePath, targetPath, sourceLocale, targetLocale, config));
+
+  const mdx = isMdxPath(sourcePath) || isMdxPath(targetPath);
+  const rules = getRuleSettings(config);
+  const linkPrefixes = {
+    source: getLinkPrefix(config, sourceLocale),
+    target: getLinkPrefix(config, targetLocale)
+  };
+
+  const result = validatePair(source, target, sourceLocale, targetLocale, {
+    mdx,
+    preservePatterns: config.preserve_patterns,
+    noTranslate,
+    frontmatter: getFrontmatterRules(config),
+    translatableProps: getTranslatableProps(config),
+    rules,
+    linkPrefixes
+  });
+  const findings = [];
+
+  // Check `page#fragment` links into other files of the target tree
+  let targetLinks = null;
+  let suppressions = [];
+  try {
+    const tree = parseMarkdown(target, { mdx });
+    targetLinks = extractStructure(target, { tree }).links;
+    suppressions = findSuppressions(tree);
+  } catch {
+    // Parse errors are already reported by validatePair
+  }
+  if (targetLinks) {
+    const fragmentErrors = await validateCrossFileFragments(targetLinks, {
+      filePath: targetPath,
+      root: options.targetRoot || findLocaleRoot(targetPath, targetLocale, config),
+      prefix: linkPrefixes.target,
+      dependencies: options.dependencies
+    }, options.anchorCache);
+    findings.push(...toFindings('fragment-link', 'error', fragmentErrors));
+
+    if (options.routes) {
+      findings.push(...toFindings('internal-link', 'error', validateInternalLinks(targetLinks, {
+        filePath: path.relative(options.routes.target.root, targetPath),
+        target: options.routes.target,
+        source: options.routes.source,
+        lookups: options.routeLookups
+      })));
+    }
+  }
+
+  const applied = applyRuleSettings(findings, rules, suppressions);
+  const withFile = list => list.map(f => ({ ...f, file: targetPath }));
+  return summarizeFindings(
+    withFile([...result.findings, ...applied.findings]),
+    result.localeInfo,
+    withFile([...result.suppressed, ...applied.suppressed])
+  );
+}
+
+/**
+ * Validate file pairs on worker threads (see validate-worker.js)
+ *
+ * tasks are { sourcePath, targetPath, sourceLocale, targetLocale }. Returns
+ * [{ result, dependencies, routeLookups }] in task order. Rejects on the first error.
+ */
+async function validateInWorkers(tasks, jobs, config, options) {
+  const results = new Array(tasks.length);
+  const workers = Array.from({ length: Math.min(jobs, tasks.length) }, () =>
+    new Worker(new URL('./validate-worker.js', import.meta.url), { workerData: { config, options } }));
+  let next = 0;
+
+  const run = worker => new Promise((resolve, reject) => {
+    const onMessage = message => {
+      if (message.error) {
+        reject(new Error(`${tasks[message.id].targetPath}: ${message.error}`));
+        return;
+      }
+      results[message.id] = message;
+      dispatch();
+    };
+    const dispatch = () => {
+      if (next >= tasks.length) {
+        worker.off('message', onMessage);
+        resolve();
+        return;
+      }
+      const id = next++;
+      worker.postMessage({ id, ...tasks[id] });
+    };
+
+    worker.on('message', onMessage);
+    worker.once('error', reject);
+    dispatch();
+  });
+
+  try {
+    await Promise.all(workers.map(run));
+  } finally {
+    await Promise.all(workers.map(worker => worker.terminate()));
+  }
+
+  return results;
 }
 
-async function validateDirectories(sourceDir, targetDir, sourceLocale, targetLocale) {
+/**
+ * Validate every file of a source directory against the target directory
+ *
+ * Options:
+ *   jobs:  number of files validated in parallel on worker threads (default 1:
+ *          in this thread, one file at a time)
+ *   cache: path of the result cache (see validate-cache.js); unchanged file
+ *          pairs are not validated again
+ *
+ * Target files without a source (see orphans.js) get a result of their own,
+ * after the source files' results.
+ *
+ * Returns { <relative path>: result } in source file order.
+ */
+async function validateDirectories(sourceDir, targetDir, sourceLocale, targetLocale, config = DEFAULT_CONFIG, options = {}) {
+  const { jobs = 1, cache: cachePath = null } = options;
   const results = {};
   const sourceFiles = await findMarkdownFiles(sourceDir);
+  const noTranslate = await loadNoTranslateRules(config);
+  const ruleSettings = getRuleSettings(config);
 
-  // Auto-detect locales from directory names
-  if (!sourceLocale) {
-    sourceLocale = detectLocaleFromPath(sourceDir);
+  // Fall back to config, then auto-detect locales from directory names
+  if (!sourceLocale || !targetLocale) {
+    const detected = parseLocales(sourceDir + path.sep, targetDir + path.sep, { sourceLocale, targetLocale }, config);
+    sourceLocale = detected.sourceLocale;
+    targetLocale = detected.targetLocale;
   }
-  if (!targetLocale) {
-    targetLocale = detectLocaleFromPath(targetDir);
+
+  // Route maps of both trees, to resolve internal links
+  const routeRules = getRouteRules(config);
+  const routes = {
+    source: await buildRouteMap(sourceDir, getLinkPrefix(config, sourceLocale), routeRules),
+    target: await buildRouteMap(targetDir, getLinkPrefix(config, targetLocale), routeRules)
+  };
+  const shared = { noTranslate, targetRoot: targetDir, routes };
+
+  // Target files left without a source: renamed, deleted or misspelled pages
+  let targetFiles = [];
+  try {
+    targetFiles = await findMarkdownFiles(targetDir);
+  } catch {
+    // No target tree yet, every target is missing
   }
+  const orphans = findOrphanTargets(sourceFiles, targetFiles, {
+    similarity: getRuleOption(ruleSettings, 'orphan-file', 'similarity', undefined)
+  });
+  const similarTargets = new Map(orphans.filter(o => o.source).map(o => [o.source, o.file]));
+
+  const cache = cachePath
+    ? await loadValidationCache(cachePath, await createCacheContext({ config: { ...config, validate: null }, noTranslate, sourceLocale, targetLocale, sourceDir, targetDir }))
+    : null;
+  const pending = [];
 
   for (const relPath of sourceFiles) {
     const srcFile = path.join(sourceDir, relPath);
@@ -280,72 +582,332 @@ async function validateDirectories(sourceDir, targetDir, sourceLocale, targetLoc
 
     try {
       await fs.access(tgtFile);
-      results[relPath] = await validateFiles(srcFile, tgtFile, sourceLocale, targetLocale);
     } catch {
-      results[relPath] = {
-        passed: false,
-        errors: [`Target file missing: ${tgtFile}`],
-        warnings: [],
-        localeInfo: { sourceLocale, targetLocale }
-      };
+      const similar = similarTargets.has(relPath) ? ` (similar target file: ${path.join(targetDir, similarTargets.get(relPath))})` : '';
+      // Anchored on the source: annotations cannot attach to a file that does not exist
+      const missing = applyRuleSettings(
+        toFindings('target-missing', 'error', [`Target file missing: ${tgtFile}${similar}`], srcFile),
+        ruleSettings
+      );
+      results[relPath] = summarizeFindings(missing.findings, { sourceLocale, targetLocale });
+      continue;
+    }
+
+    const task = { relPath, sourcePath: srcFile, targetPath: tgtFile, sourceLocale, targetLocale };
+    if (cache) {
+      task.sourceHash = await hashFile(srcFile);
+      task.targetHash = await hashFile(tgtFile);
+      const cached = await getCachedResult(cache, relPath, task.sourceHash, task.targetHash, routes);
+      if (cached) {
+        results[relPath] = cached;
+        continue;
+      }
+    }
+    pending.push(task);
+  }
+
+  let validated;
+  if (jobs > 1 && pending.length > 1) {
+    validated = await validateInWorkers(
+      pending.map(({ sourcePath, targetPath }) => ({ sourcePath, targetPath, sourceLocale, targetLocale })),
+      jobs,
+      config,
+      shared
+    );
+  } else {
+    const anchorCache = new Map();
+    validated = [];
+    for (const task of pending) {
+      const dependencies = new Set();
+      const routeLookups = new Map();
+      const result = await validateFiles(task.sourcePath, task.targetPath, sourceLocale, targetLocale, config, {
+        ...shared,
+        anchorCache,
+        dependencies,
+        routeLookups
+      });
+      validated.push({ result, dependencies: [...dependencies], routeLookups: Object.fromEntries(routeLookups) });
+    }
+  }
+
+  for (const [index, task] of pending.entries()) {
+    const { result, dependencies, routeLookups } = validated[index];
+    results[task.relPath] = result;
+    if (cache) {
+      await setCachedResult(cache, task.relPath, task.sourceHash, task.targetHash, result, dependencies, routeLookups);
+    }
+  }
+  if (cache) {
+    await saveValidationCache(cache);
+  }
+
+  const orphanResults = {};
+  for (const orphan of orphans) {
+    const tgtFile = path.join(targetDir, orphan.file);
+    let finding;
+    if (orphan.kind === 'case-mismatch') {
+      finding = toFindings('file-case', 'error', [`Target file name differs from the source only in case: ${orphan.file} (source ${orphan.source}) - breaks on case-sensitive hosts`], tgtFile);
+    } else if (orphan.kind === 'near-miss') {
+      finding = toFindings('orphan-file', 'warning', [`Target file has no source file: ${orphan.file} - renamed or misspelled ${orphan.source}? (similarity ${orphan.similarity})`], tgtFile);
+    } else {
+      finding = toFindings('orphan-file', 'warning', [`Target file has no source file: ${orphan.file}`], tgtFile);
+    }
+    const { findings } = applyRuleSettings(finding, ruleSettings);
+    if (findings.length > 0) {
+      orphanResults[orphan.file] = summarizeFindings(findings, { sourceLocale, targetLocale });
+    }
+  }
+
+  // Keep source file order regardless of what came from the cache
+  return {
+    ...Object.fromEntries(sourceFiles.map(relPath => [relPath, results[relPath]])),
+    ...orphanResults
+  };
+}
+
+/**
+ * Apply the mechanical fixes of fix.js to a target file
+ *
+ * Returns { fixes, diff } with the unified diff of the change. The file is
+ * only written when dryRun is not set.
+ */
+async function fixFiles(sourcePath, targetPath, sourceLocale, targetLocale, config = DEFAULT_CONFIG, { dryRun = false, noTranslate } = {}) {
+  const noTranslateRules = noTranslate !== undefined ? noTranslate : await loadNoTranslateRules(config);
+  const source = await fs.readFile(sourcePath, 'utf-8');
+  const target = await fs.readFile(targetPath, 'utf-8');
+  ({ sourceLocale, targetLocale } = resolveLocales(sourcePath, targetPath, sourceLocale, targetLocale, config));
+
+  const { content, fixes } = fixTarget(source, target, {
+    mdx: isMdxPath(sourcePath) || isMdxPath(targetPath),
+    noTranslate: noTranslateRules,
+    linkPrefixes: {
+      source: getLinkPrefix(config, sourceLocale),
+      target: getLinkPrefix(config, targetLocale)
+    }
+  });
+
+  if (!dryRun && content !== target) {
+    await fs.writeFile(targetPath, content, 'utf-8');
+  }
+
+  return { fixes, diff: createUnifiedDiff(target, content, `a/${targetPath}`, `b/${targetPath}`) };
+}
+
+/**
+ * Apply fixes to every translated file of a directory pair
+ *
+ * Returns { <relative path>: { fixes, diff } or { error } }.
+ */
+async function fixDirectories(sourceDir, targetDir, sourceLocale, targetLocale, config = DEFAULT_CONFIG, { dryRun = false } = {}) {
+  const results = {};
+  const noTranslate = await loadNoTranslateRules(config);
+  ({ sourceLocale, targetLocale } = resolveLocales(sourceDir + path.sep, targetDir + path.sep, sourceLocale, targetLocale, config));
+
+  for (const relPath of await findMarkdownFiles(sourceDir)) {
+    const tgtFile = path.join(targetDir, relPath);
+    try {
+      await fs.access(tgtFile);
+    } catch {
+      continue;
+    }
+
+    try {
+      results[relPath] = await fixFiles(path.join(sourceDir, relPath), tgtFile, sourceLocale, targetLocale, config, { dryRun, noTranslate });
+    } catch (err) {
+      results[relPath] = { error: err.message };
     }
   }
 
   return results;
 }
 
-async function main() {
-  const args = process.argv.slice(2);
-  let isDir = false, jsonOutput = false;
-  let sourceLocale = null, targetLocale = null;
-  const paths = [];
-
-  for (let i = 0; i < args.length; i++) {
-    if (args[i] === '--dir') {
-      isDir = true;
-    } else if (args[i] === '--json') {
-      jsonOutput = true;
-    } else if (args[i] === '--help' || args[i] === '-h') {
-      console.log('Usage: node validate.js <source.md> <target.md> [options]');
-      console.log('       node validate.js --dir <source_dir> <target_dir> [options]');
-      console.log('');
-      console.log('Options:');
-      console.log('  --dir              Validate all files in directories');
-      console.log('  --json             Output as JSON');
-      console.log('  --source-locale    Source locale code (e.g., en)');
-      console.log('  --target-locale    Target locale code (e.g., zh)');
-      console.log('  --help, -h         Show this help message');
-      console.log('');
-      console.log('If locales are not specified, they will be auto-detected from directory paths.');
-      console.log('');
-      console.log('Examples:');
-      console.log('  node validate.js docs/en/guide.md docs/zh/guide.md');
-      console.log('  node validate.js docs/en/guide.md docs/zh/guide.md --source-locale en --target-locale zh');
-      console.log('  node validate.js --dir docs/en docs/zh');
-      process.exit(0);
-    } else if (args[i] === '--source-locale') {
-      sourceLocale = args[++i];
-    } else if (args[i] === '--target-locale') {
-      targetLocale = args[++i];
+/**
+ * Print --fix results: the diffs on --dry-run, else a summary of applied fixes
+ */
+function printFixResults(results, dryRun) {
+  let fixCount = 0;
+  let fileCount = 0;
+
+  for (const [file, result] of Object.entries(results)) {
+    if (result.error) {
+      console.log(`✗ ${file}: could not fix (${result.error})`);
+      continue;
+    }
+    if (result.fixes.length === 0) continue;
+
+    fixCount += result.fixes.length;
+    fileCount++;
+    if (dryRun) {
+      console.log(result.diff);
     } else {
-      paths.push(args[i]);
+      console.log(`Fixed ${result.fixes.length} issue(s) in ${file}:`);
+      for (const fix of result.fixes) {
+        console.log(`  line ${fix.line}: ${fix.description}`);
+      }
+    }
+  }
+
+  const verb = dryRun ? 'Would fix' : 'Fixed';
+  console.log(`\n${verb} ${fixCount} issue(s) in ${fileCount} file(s)${fixCount > 0 && !dryRun ? '; run validate.js again for the remaining checks' : ''}`);
+}
+
+const OPTIONS = {
+  dir: { type: 'boolean' },
+  fix: { type: 'boolean' },
+  'dry-run': { type: 'boolean' },
+  jobs: { type: 'string' },
+  cache: { type: 'boolean' },
+  'no-cache': { type: 'boolean' },
+  json: { type: 'boolean' },
+  format: { type: 'string', default: 'text' },
+  'source-locale': { type: 'string' },
+  'target-locale': { type: 'string' },
+  config: { type: 'string' }
+};
+
+const FORMATS = ['text', 'json', 'sarif', 'junit', 'github'];
+
+function printUsage() {
+  console.log('Usage: node validate.js <source.md> <target.md> [options]');
+  console.log('       node validate.js --dir [source_dir] [target_dir] [options]');
+  console.log('');
+  console.log('Options:');
+  console.log('  --dir              Validate all files in directories');
+  console.log('                     (default: source_dir/target_dir from .i18n/config.yaml)');
+  console.log('  --fix              Fix code blocks and link prefixes in the target file(s)');
+  console.log('  --dry-run          With --fix, print a unified diff instead of writing');
+  console.log('  --jobs             With --dir, files validated in parallel: a number or "auto"');
+  console.log('                     (default: validate.jobs from .i18n/config.yaml, else 1)');
+  console.log('  --cache            With --dir, skip file pairs unchanged since the last run');
+  console.log('                     (cache in .i18n/cache/validate.json, default: validate.cache)');
+  console.log('  --no-cache         Validate every file pair, ignoring validate.cache');
+  console.log(`  --format           Output format: ${FORMATS.join(', ')} (default: text)`);
+  console.log('  --json             Output as JSON (same as --format json)');
+  console.log('  --source-locale    Source locale code (e.g., en)');
+  console.log('  --target-locale    Target locale code (e.g., zh)');
+  console.log('  --config           Project config file (default: .i18n/config.yaml)');
+  console.log('  --help, -h         Show this help message');
+  console.log('');
+  console.log('If locales are not specified, they are read from .i18n/config.yaml or');
+  console.log('auto-detected from directory paths.');
+  console.log('');
+  console.log('Examples:');
+  console.log('  node validate.js docs/en/guide.md docs/zh/guide.md');
+  console.log('  node validate.js docs/en/guide.md docs/zh/guide.md --source-locale en --target-locale zh');
+  console.log('  node validate.js --dir docs/en docs/zh');
+  console.log('  node validate.js --dir docs/en docs/zh --format sarif > i18n.sarif');
+  console.log('  node validate.js --dir docs/en docs/zh --fix --dry-run');
+  console.log('  node validate.js --dir docs/en docs/zh --jobs auto --cache');
+}
+
+/**
+ * Parse a worker count: a positive integer or "auto" (available CPUs)
+ */
+function parseJobs(value) {
+  if (value === 'auto') {
+    return os.availableParallelism ? os.availableParallelism() : os.cpus().length;
+  }
+  const jobs = Number(value);
+  if (!Number.isInteger(jobs) || jobs < 1) {
+    throw new UsageError(`Invalid --jobs value "${value}" (expected a positive number or "auto")`);
+  }
+  return jobs;
+}
+
+/**
+ * Resolve the cache file for --dir: validate.cache may be true (default
+ * location) or a path relative to the project root
+ */
+function getCachePath(config, values) {
+  const configured = config.validate?.cache;
+  if (values.noCache || (!values.cache && !configured)) return null;
+
+  if (typeof configured === 'string') return resolveConfigPath(config, configured);
+  return getDefaultCachePath(config.i18nDir || path.join(config.projectRoot, '.i18n'));
+}
+
+/**
+ * Format a suppressed finding for the text report
+ */
+function formatSuppressed(finding) {
+  return `[${finding.rule}] ${finding.message} (i18n-disable-next-line at target line ${finding.suppressedBy})`;
+}
+
+/**
+ * Print results in a machine-readable format
+ */
+function printReport(results, format) {
+  switch (format) {
+    case 'sarif':
+      console.log(JSON.stringify(toSarif(results), null, 2));
+      break;
+    case 'junit':
+      console.log(toJUnit(results));
+      break;
+    case 'github': {
+      const annotations = toGitHubAnnotations(results);
+      if (annotations) console.log(annotations);
+      break;
+    }
+  }
+}
+
+async function main() {
+  const { values, positionals: paths, help } = parseArgs(process.argv.slice(2), OPTIONS);
+
+  if (help) {
+    printUsage();
+    return EXIT_OK;
+  }
+
+  const { dir: isDir, sourceLocale, targetLocale, config: configPath } = values;
+  const format = values.json ? 'json' : values.format;
+  if (values.dryRun && !values.fix) {
+    throw new UsageError('--dry-run is only supported with --fix');
+  }
+  if ((values.jobs || values.cache) && !isDir) {
+    throw new UsageError('--jobs and --cache are only supported with --dir');
+  }
+  if (!FORMATS.includes(format)) {
+    throw new UsageError(`Unknown format "${format}" (expected one of: ${FORMATS.join(', ')})`);
+  }
+
+  const config = await loadConfig({ configPath });
+
+  // Directory mode can run entirely from the project config
+  if (isDir && paths.length === 0) {
+    const sourceDir = getSourceDir(config);
+    const targetDir = getTargetDir(config, targetLocale);
+    if (sourceDir && targetDir) {
+      paths.push(sourceDir, targetDir);
     }
   }
 
   if (paths.length < 2) {
-    console.log('Error: Missing required paths.');
-    console.log('Run with --help for usage information.');
-    process.exit(1);
+    throw new UsageError('Missing required paths.');
   }
 
   const [source, target] = paths;
 
+  if (values.fix) {
+    const results = isDir
+      ? await fixDirectories(source, target, sourceLocale, targetLocale, config, { dryRun: values.dryRun })
+      : { [target]: await fixFiles(source, target, sourceLocale, targetLocale, config, { dryRun: values.dryRun }) };
+    printFixResults(results, values.dryRun);
+    return Object.values(results).some(r => r.error) ? EXIT_FAILURE : EXIT_OK;
+  }
+
   if (isDir) {
-    const results = await validateDirectories(source, target, sourceLocale, targetLocale);
+    const results = await validateDirectories(source, target, sourceLocale, targetLocale, config, {
+      jobs: parseJobs(values.jobs ?? config.validate?.jobs ?? 1),
+      cache: getCachePath(config, values)
+    });
     const allPassed = Object.values(results).every(r => r.passed);
 
-    if (jsonOutput) {
+    if (format === 'json') {
       console.log(JSON.stringify(results, null, 2));
+    } else if (format !== 'text') {
+      printReport(results, format);
     } else {
       // Show locale info
       const firstResult = Object.values(results)[0];
@@ -362,16 +924,21 @@ async function main() {
         for (const warn of result.warnings) {
           console.log(`  WARN: ${warn}`);
         }
+        for (const finding of result.suppressed || []) {
+          console.log(`  SUPPRESSED: ${formatSuppressed(finding)}`);
+        }
       }
       console.log(`\n${allPassed ? 'PASSED' : 'FAILED'}`);
     }
 
-    process.exit(allPassed ? 0 : 1);
+    return allPassed ? EXIT_OK : EXIT_FAILURE;
   } else {
-    const result = await validateFiles(source, target, sourceLocale, targetLocale);
+    const result = await validateFiles(source, target, sourceLocale, targetLocale, config);
 
-    if (jsonOutput) {
+    if (format === 'json') {
       console.log(JSON.stringify(result, null, 2));
+    } else if (format !== 'text') {
+      printReport({ [target]: result }, format);
     } else {
       // Show locale info
       if (result.localeInfo?.sourceLocale || result.localeInfo?.targetLocale) {
@@ -384,11 +951,27 @@ async function main() {
       for (const warn of result.warnings) {
         console.log(`WARN: ${warn}`);
       }
+      for (const finding of result.suppressed) {
+        console.log(`SUPPRESSED: ${formatSuppressed(finding)}`);
+      }
       console.log(`\n${result.passed ? 'PASSED' : 'FAILED'}`);
     }
 
-    process.exit(result.passed ? 0 : 1);
+    return result.passed ? EXIT_OK : EXIT_FAILURE;
   }
 }
 
-main();
+if (isMainModule(import.meta.url)) {
+  runMain(main);
+}
+
+export {
+  parseLocales,
+  validateLinkLocalization,
+  validatePair,
+  findMarkdownFiles,
+  validateFiles,
+  validateDirectories,
+  fixFiles,
+  fixDirectories
+};